@@ -9,6 +9,13 @@
    
    STRUCTURE:
    
+   0. IMMEDIATE THEME + CONFIGURATION
+      - applyTheme() / setTheme()      - Theme manager: light / dark / system, forced per page,
+                                         cross-tab sync, cross-fade
+      - BORTO_CONFIG_DEFAULTS / CONFIG - Timings, easings, breakpoints, selectors
+                                         (window.BortoConfig, data-borto-* on body)
+      - isReducedMotion()              - Motion policy (OS setting + "motion" in localStorage)
+   
    1. GLOBAL CSS INJECTION (IIFE)
       - Initial styles for CV, exhibitions, thumbnails, work lists
    
@@ -16,65 +23,456 @@
       - Prevents font flash on initial page load
    
    3. UTILITY FUNCTIONS
+      - createCleanupScope()      - Teardown handle returned by page modules
+      - registerPageController()  - Page-level APIs exposed through window.Borto
+      - createDisclosure()        - Accessible expand/collapse (captions, CV)
+      - normalizeSearchText()     - Accent-insensitive matching
+      - parseDateValue()          - CMS/Webflow dates + ranges (getDateYear, formatDateRange...)
       - Slater.js module loader
-      - Bracketed text italic replacement
+      - parseCaption() / renderCaption() - Safe caption markup ([italic], links, fields)
    
    4. GLOBAL SCRIPTS (run on all pages)
       - initBackButton()              - Back navigation (.nav_back_link, .is-back)
-      - initThemeToggle()              - Dark/light mode (#Toggle button, localStorage)
+      - initThemeToggle()              - #Toggle (light/dark) + [data-theme-option] buttons
+      - initThemeAssets()              - data-src-dark image swaps, themed SVG logo fills
+      - initMotionToggle()             - Reduced motion override (#MotionToggle, localStorage)
       - initYearFormatter()            - Format dates, hide duplicate years (desktop)
-      - initCVCleanup()                - Split CV <br> into <p>, wrap years in <span>
-      - initExhibitionSorting()        - Sort by artist/year (#Artist, #Year buttons)
+      - initCVCleanup()                - Split CV <br> into <p>, date column (ranges, "since", undated)
+      - initCVSections()               - parseCV() model, section tabs, JSON + print export
+      - initCaptionToggle()            - Caption disclosures, expand/collapse all captions
+      - initExhibitionSorting()        - Stable multi-key artist/year sort (#Artist, #Year), FLIP,
+                                         kept in ?sort= + sessionStorage
+      - initListFilters()              - Year/artist/status/venue filters + search (?year=&q=)
+      - initYearGroups()               - Sticky year headings + jump bar (exhibitions list route),
+                                         rebuilt on sort/filter
       - initHeadroom()                 - Auto-hide nav on scroll (Headroom.js)
    
    5. PAGE-SPECIFIC SCRIPTS
       - initStaggerAnimation()             - GSAP stagger fade-up for list items (exhibitions, artists, news)
-      - initExhibitionHoverThumbnails()    - Show preview thumb on item hover (desktop)
-      - initNewsHoverThumbnails()          - Show preview thumb on news items hover (desktop)
+      - createHoverPreview()               - Hover preview engine (one visible preview, pointer-aware)
+      - initHoverPreviews()                - Presets (exhibitions, news, works) + data-hover-* lists
       - initLogoScrollAnimation()          - Logo animation on scroll (home bottom page)
       - initLogoDrawAnimation()            - SVG stroke draw animation for logo (home zig)
       - initZigPageLayout()                - Random alignment & featured image marking (home zig)
       - initZigScrollAnimation()           - Individual ScrollTrigger for zig items (home zig)
-      - initSwiper()                       - Swiper slider for artist detail images
-      - initCVReadMore()                   - Expand/collapse CV (.cv_read_cta button)
+      - initSwiper()                       - Artist detail Swiper: ?slide= deep link, thumbs,
+                                             fullscreen + pinch/double-click zoom
+      - initCVReadMore()                   - Expand/collapse CV (.cv_read_cta), snaps to entries, #cv-* links
       - initSortExhibitionsByYear()        - Auto-sort exhibitions newest→oldest
-      - initExhibitionDetailScripts()      - Grid toggle, work hover, work modals
+      - initWorkModals()                   - Focus-trapped work modals, Escape, prev/next (exhibition detail)
+      - initExhibitionDetailScripts()      - View modes (+ #view=&work= deep links), work hover, work modals
+      - initListReveal()                   - Stagger + hover thumbnails for list pages
+      - initArtistDetailScripts()          - Works reveal, slider, CV, works mode (artist detail)
+      - initArtistWorksLayout()            - Artist works mode (data-works-mode, ?works=), live switch
+      - initExhibitionDetailIntro()        - Show items fade-up, then work list + press
+      - initHomeBottomIntro()              - Home image fade-in (home bottom)
+      - initCaptionMarkup()                - Render caption markup (.ap_caption, work modals)
       - initMeasurementDimensions()        - Format artwork dimensions (W×H×D)
       - initOldHomePageScripts()           - Logo animation, grid/flex toggle, home image fade (old home)
       - initHomePageScripts()              - Logo animation first → Logo fade out → Image fade in
    
    6. BARBA.JS PAGE TRANSITIONS
+      - ROUTES / resolveRoute()   - Declarative route registry (namespace, CSS, init, Headroom)
+      - ARTIST_WORKS_MODES        - CSS + init per artist works layout mode
       - injectPageSpecificCSS()   - Dynamic CSS injection per page type
+      - save/restoreScrollPosition() - Per-history-entry scroll for back/forward
+      - pushHistoryEntry()        - Same-page hash entries with their own Barba history index
+      - initLinkPrefetch()        - Hover/focus/touch/viewport prefetch, LRU + TTL page cache
       - Barba hooks                - before/after/enter transition handlers
    
    7. INITIALIZATION
       - initPageScripts()         - Main orchestrator, called on load + Barba
+      - destroyPageScripts()      - Tears down page modules on Barba leave
+
+   8. PUBLIC API
+      - window.Borto              - init/destroy, theme, exhibition view, slideshow, slider, CV,
+                                    artist works mode, list filters + sorting, CV export
    
    ═══════════════════════════════════════════════════════════════════════════ */
 
 
 /* ═══════════════════════════════════════════════════════════════════════════
    0. IMMEDIATE THEME APPLICATION (before anything else)
+   ═══════════════════════════════════════════════════════════════════════════
+
+   Theme manager. Preference is stored in localStorage under "theme":
+   - "light" / "dark" - fixed theme
+   - "system"         - follow prefers-color-scheme, live
+   - (unset)          - THEME_DEFAULT
+   A page can force its theme with data-force-theme="dark" on .page_wrap
+   (CMS attribute); the preference applies again on the next page.
+
+   applyTheme() is the only place that writes data-theme (html, body and
+   every .page_wrap): the IIFE below, initThemeToggle(), DOMContentLoaded
+   and the Barba after() hook all call it. Changes made while the page is
+   open (toggle, OS setting, another tab via the storage event) cross-fade
+   (View Transitions, else a short CSS colour transition; instant with
+   reduced motion). THEME_CHANGE_EVENT fires on document when the applied
+   theme changes.
+
    ═══════════════════════════════════════════════════════════════════════════ */
 
+const THEME_STORAGE_KEY = 'theme';
+const THEME_DEFAULT = 'light';
+const THEME_CHANGE_EVENT = 'borto:themechange'; // detail: { theme, preference }
+const THEME_FADE_DURATION = 0.4; // s cross-fade
+const colorSchemeQuery = window.matchMedia ? window.matchMedia('(prefers-color-scheme: dark)') : null;
+let appliedTheme = null;
+
+function getThemePreference() {
+  const stored = localStorage.getItem(THEME_STORAGE_KEY);
+  return stored === 'light' || stored === 'dark' || stored === 'system' ? stored : THEME_DEFAULT;
+}
+
+// data-force-theme on the page's .page_wrap (root: Barba's incoming container)
+function getForcedTheme(root) {
+  const scope = root || document;
+  const forced = (scope.closest && scope.closest('.page_wrap[data-force-theme]'))
+    || scope.querySelector('.page_wrap[data-force-theme]');
+  const theme = forced && forced.getAttribute('data-force-theme');
+  return theme === 'light' || theme === 'dark' ? theme : null;
+}
+
+function resolveTheme(root) {
+  const forced = getForcedTheme(root);
+  if (forced) return forced;
+  const preference = getThemePreference();
+  if (preference !== 'system') return preference;
+  return colorSchemeQuery && colorSchemeQuery.matches ? 'dark' : 'light';
+}
+
+// 'light' | 'dark' currently on the page
+function getTheme() {
+  return appliedTheme || resolveTheme();
+}
+
+function applyTheme(root) {
+  const theme = resolveTheme(root);
+  document.documentElement.setAttribute("data-theme", theme);
+  document.querySelectorAll(".page_wrap").forEach(el => el.setAttribute("data-theme", theme));
+  if (document.body) document.body.setAttribute("data-theme", theme);
+  document.querySelectorAll('[data-theme-option]').forEach(el => {
+    el.setAttribute('aria-pressed', el.getAttribute('data-theme-option') === getThemePreference() ? 'true' : 'false');
+  });
+  // Forced theme: the controls can't change anything on this page
+  const forced = !!getForcedTheme(root);
+  document.querySelectorAll('#Toggle, [data-theme-option]').forEach(el => {
+    el.classList.toggle('is-disabled', forced);
+    if (forced) {
+      el.setAttribute('aria-disabled', 'true');
+    } else {
+      el.removeAttribute('aria-disabled');
+    }
+  });
+
+  const changed = appliedTheme !== null && appliedTheme !== theme;
+  appliedTheme = theme;
+  if (changed) {
+    document.dispatchEvent(new CustomEvent(THEME_CHANGE_EVENT, { detail: { theme, preference: getThemePreference() } }));
+  }
+  return theme;
+}
+
+// Re-apply with a cross-fade (user/OS/other tab changes, not page loads)
+function crossfadeTheme() {
+  if (resolveTheme() === appliedTheme) {
+    applyTheme(); // Option buttons may still need aria-pressed
+    return;
+  }
+  if (isReducedMotion()) {
+    applyTheme();
+    return;
+  }
+  if (document.startViewTransition) {
+    document.startViewTransition(() => applyTheme());
+    return;
+  }
+  const html = document.documentElement;
+  html.classList.add('theme-transition');
+  applyTheme();
+  clearTimeout(crossfadeTheme.timer);
+  crossfadeTheme.timer = setTimeout(() => html.classList.remove('theme-transition'), THEME_FADE_DURATION * 1000);
+}
+
+function setTheme(preference) {
+  if (preference !== 'light' && preference !== 'dark' && preference !== 'system') {
+    console.log('⚠️ Unknown theme:', preference);
+    return;
+  }
+  localStorage.setItem(THEME_STORAGE_KEY, preference);
+  crossfadeTheme();
+  console.log('🌓 Theme preference:', preference, '→', appliedTheme);
+}
+
 (function() {
   // Apply theme IMMEDIATELY when script loads to prevent any flash
-  const storedTheme = localStorage.getItem("theme") || "light";
-  document.documentElement.setAttribute("data-theme", storedTheme);
-  if (document.body) {
-    document.body.setAttribute("data-theme", storedTheme);
-  } else {
+  applyTheme();
+  if (!document.body) {
     // If body doesn't exist yet, apply when it does
     document.addEventListener('DOMContentLoaded', function() {
-      document.body.setAttribute("data-theme", storedTheme);
+      applyTheme();
     });
   }
+
+  // Live OS setting changes (only matter while following the system)
+  if (colorSchemeQuery) {
+    const onSchemeChange = () => {
+      if (getThemePreference() === 'system') crossfadeTheme();
+    };
+    if (colorSchemeQuery.addEventListener) {
+      colorSchemeQuery.addEventListener('change', onSchemeChange);
+    } else if (colorSchemeQuery.addListener) {
+      colorSchemeQuery.addListener(onSchemeChange);
+    }
+  }
+
+  // Theme changed in another tab
+  window.addEventListener('storage', function(e) {
+    if (e.key === THEME_STORAGE_KEY || e.key === null) crossfadeTheme();
+  });
 })();
 
-// Artist works mode switch for quick demos/reverts.
-// 'parallax-overlap' = new stacked full-bleed behavior
-// 'legacy' = previous mixed-size + random alignment + fade-up reveal behavior
-const ARTIST_WORKS_EXPERIMENT_MODE = 'parallax-overlap';
+/* ═══════════════════════════════════════════════════════════════════════════
+   0.1 CONFIGURATION - Timings, easings, breakpoints, selectors
+   ═══════════════════════════════════════════════════════════════════════════
+
+   BORTO_CONFIG_DEFAULTS holds every tunable value. CONFIG is the resolved
+   copy the rest of the file reads from, merged in this order:
+
+   1. BORTO_CONFIG_DEFAULTS
+   2. window.BortoConfig (set in a Webflow embed BEFORE this script), e.g.
+        window.BortoConfig = { hover: { duration: 1.2 } };
+   3. data-borto-* attributes on <body>, then on the Barba container, e.g.
+        data-borto-hover-duration="1.2"
+        data-borto-scroll-artist-works-start="top 70%"
+        data-borto-breakpoints-desktop="1200"
+        data-borto-cv-read-more="Mehr lesen"
+      The first word after "borto" is the group, the rest the key.
+   (data-borto-works-mode="legacy" sets the site-wide artist works default.)
+
+   Re-resolved on every Barba transition (refreshConfig) so page-level body
+   attributes set in Webflow apply per page. Breakpoints also feed the
+   injected CSS so JS and CSS media queries stay in sync.
+
+   ═══════════════════════════════════════════════════════════════════════════ */
+
+const BORTO_CONFIG_DEFAULTS = {
+  breakpoints: {
+    desktop: 1024, // > desktop: duplicate-year hiding
+    tablet: 991    // <= tablet: mobile nav offset in injected CSS
+  },
+  hover: {
+    duration: 0.9,        // Preview thumbnail show/hide on hover
+    ease: 'circ.out',
+    hideDuration: 0.5,    // Hide on scroll
+    hideEase: 'power1.out',
+    followDuration: 0.6,  // Cursor-following previews: inertia
+    followEase: 'power3'
+  },
+  stagger: {
+    each: 0.02,           // List item reveal (exhibitions, artists, news)
+    duration: 0.2,
+    ease: 'power1.out'
+  },
+  scroll: {
+    artistWorksStart: 'top 85%',
+    zigStart: 'top 60%',
+    logoStart: 'top 70%',
+    logoDrawStart: 'top 80%',
+    homeFlexStart: 'top 80%'
+  },
+  slideshow: {
+    interval: 6000,       // ms per home image
+    fade: 1.2             // s crossfade
+  },
+  sort: {
+    duration: 0.5,        // FLIP re-order of sorted lists
+    ease: 'power2.inOut'
+  },
+  captions: {
+    expandAll: 'Expand all captions',   // Expand-all button labels
+    collapseAll: 'Collapse all captions',
+    expandAllMin: 6       // Captioned .show_item entries before the button is added
+  },
+  slider: {
+    zoomMax: 3,           // Fullscreen zoom factor (pinch / double-click)
+    fullscreen: 'Fullscreen', // Button labels
+    exitFullscreen: 'Close'
+  },
+  cv: {
+    readMore: 'Read More', // CV CTA labels (translate via data-borto-cv-read-more)
+    readLess: 'Read Less',
+    duration: 0.8         // s expand/collapse
+  },
+  transition: {
+    leaveDuration: 0.3,   // Barba fade-out
+    leaveEase: 'power2.inOut'
+  },
+  works: {
+    mode: 'parallax-overlap' // Artist works default (see ARTIST_WORKS_MODES)
+  },
+  prefetch: {
+    enabled: true,
+    ttl: 120000,          // ms a cached page stays valid
+    maxEntries: 20,       // Pages kept in Barba's cache
+    hoverDelay: 65,       // ms of hover before prefetching
+    viewportLimit: 6,     // Links prefetched per page when scrolled into view
+    viewportSelector: '.nav_wrap a[href], .g_exhibition_item a[href], a.g_exhibition_item[href], .news_item_wrap a[href], a.news_item_wrap[href]'
+  },
+  selectors: {
+    exhibitionItem: '.g_exhibition_item_inner',
+    previewThumb: '.g_preview_thumb_wrap',
+    newsItem: '.news_item_wrap',
+    workItem: '.work_list_caption_wrap',
+    workThumb: '.work_list_thumb_wrap'
+  }
+};
+
+let CONFIG = resolveConfig([document.body]);
+
+function mergeConfig(target, source) {
+  if (!source || typeof source !== 'object') return target;
+  Object.keys(source).forEach(key => {
+    const value = source[key];
+    if (value && typeof value === 'object' && !Array.isArray(value)) {
+      target[key] = mergeConfig(Object.assign({}, target[key]), value);
+    } else if (value !== undefined) {
+      target[key] = value;
+    }
+  });
+  return target;
+}
+
+function parseConfigValue(raw) {
+  if (raw === 'true') return true;
+  if (raw === 'false') return false;
+  if (/^-?\d*\.?\d+$/.test(raw.trim())) return parseFloat(raw);
+  return raw;
+}
+
+// data-borto-hover-duration="1.2" → { hover: { duration: 1.2 } }
+function readConfigAttributes(el) {
+  const overrides = {};
+  if (!el || !el.dataset) return overrides;
+
+  Object.keys(el.dataset).forEach(name => {
+    const match = name.match(/^borto([A-Z][a-z0-9]*)([A-Z].*)$/);
+    if (!match) return;
+    const group = match[1].toLowerCase();
+    const key = match[2].charAt(0).toLowerCase() + match[2].slice(1);
+    if (!BORTO_CONFIG_DEFAULTS[group]) return;
+    overrides[group] = overrides[group] || {};
+    overrides[group][key] = parseConfigValue(el.dataset[name]);
+  });
+  return overrides;
+}
+
+function resolveConfig(attributeSources) {
+  const config = mergeConfig({}, BORTO_CONFIG_DEFAULTS);
+  mergeConfig(config, window.BortoConfig);
+  (attributeSources || []).forEach(el => mergeConfig(config, readConfigAttributes(el)));
+  return config;
+}
+
+function refreshConfig(attributeSources) {
+  CONFIG = resolveConfig(attributeSources);
+  return CONFIG;
+}
+
+// <body ...> attributes of a page fetched by Barba (body itself is not swapped)
+function getBodyAttributesFromHtml(html) {
+  const match = typeof html === 'string' && html.match(/<body([^>]*)>/i);
+  if (!match) return null;
+  const template = document.createElement('template');
+  template.innerHTML = '<div' + match[1] + '></div>';
+  return template.content.firstElementChild;
+}
+
+function isDesktopViewport() {
+  return window.innerWidth > CONFIG.breakpoints.desktop;
+}
+
+// Hover previews depend on the pointer, not the viewport width (touch
+// laptops, large tablets). NO_HOVER_MEDIA is the CSS counterpart.
+const HOVER_POINTER_QUERY = '(hover: hover) and (pointer: fine)';
+const NO_HOVER_MEDIA = 'not all and ' + HOVER_POINTER_QUERY;
+const hoverPointerQuery = window.matchMedia ? window.matchMedia(HOVER_POINTER_QUERY) : null;
+
+/* ═══════════════════════════════════════════════════════════════════════════
+   0.2 MOTION POLICY - Reduced motion (OS setting + user override)
+   ═══════════════════════════════════════════════════════════════════════════
+
+   One switch for every animation that moves things around. Preference is
+   stored in localStorage under "motion" (next to "theme"):
+   - "reduce"  - always reduced (user toggle)
+   - "full"    - always full motion, even if the OS asks for less
+   - (unset)   - follow prefers-reduced-motion ("system")
+
+   When reduced, animations swap to instant or opacity-only variants: nav
+   intro, Barba leave fade, list stagger, logo fly-in/draw, artist works
+   parallax, exhibition view switch and the home slideshow autoplay.
+
+   isReducedMotion() is read at animation time, so one-shot animations pick
+   up the current policy automatically. Long-running ones (parallax,
+   slideshow, pending logo draw) listen for MOTION_CHANGE_EVENT on document,
+   which fires when the OS setting or the stored preference changes.
+   html.reduced-motion mirrors the policy for Webflow CSS.
+
+   ═══════════════════════════════════════════════════════════════════════════ */
+
+const MOTION_STORAGE_KEY = 'motion';
+const MOTION_CHANGE_EVENT = 'borto:motionchange';
+const reducedMotionQuery = window.matchMedia ? window.matchMedia('(prefers-reduced-motion: reduce)') : null;
+
+function getMotionPreference() {
+  const stored = localStorage.getItem(MOTION_STORAGE_KEY);
+  return stored === 'reduce' || stored === 'full' ? stored : 'system';
+}
+
+function isReducedMotion() {
+  const preference = getMotionPreference();
+  if (preference !== 'system') return preference === 'reduce';
+  return !!(reducedMotionQuery && reducedMotionQuery.matches);
+}
+
+function applyMotionPolicy() {
+  const reduced = isReducedMotion();
+  document.documentElement.classList.toggle('reduced-motion', reduced);
+  document.querySelectorAll('#MotionToggle, [data-motion-toggle]').forEach(el => {
+    el.setAttribute('aria-pressed', reduced ? 'true' : 'false');
+  });
+  document.dispatchEvent(new CustomEvent(MOTION_CHANGE_EVENT, { detail: { reduced } }));
+  return reduced;
+}
+
+function setMotionPreference(preference) {
+  if (preference !== 'reduce' && preference !== 'full' && preference !== 'system') {
+    console.log('⚠️ Unknown motion preference:', preference);
+    return;
+  }
+  if (preference === 'system') {
+    localStorage.removeItem(MOTION_STORAGE_KEY);
+  } else {
+    localStorage.setItem(MOTION_STORAGE_KEY, preference);
+  }
+  console.log('🎞️ Motion preference:', preference, '→ reduced:', applyMotionPolicy());
+}
+
+(function() {
+  document.documentElement.classList.toggle('reduced-motion', isReducedMotion());
+
+  // Live OS setting changes (only matter while following the system)
+  if (reducedMotionQuery) {
+    const onSystemChange = () => {
+      if (getMotionPreference() === 'system') applyMotionPolicy();
+    };
+    if (reducedMotionQuery.addEventListener) {
+      reducedMotionQuery.addEventListener('change', onSystemChange);
+    } else if (reducedMotionQuery.addListener) {
+      reducedMotionQuery.addListener(onSystemChange); // Safari < 14
+    }
+  }
+})();
 
 /* ═══════════════════════════════════════════════════════════════════════════
    1. GLOBAL CSS INJECTION (IIFE)
@@ -93,7 +491,7 @@ const ARTIST_WORKS_EXPERIMENT_MODE = 'parallax-overlap';
 
     /* Style for the span containing the year */
     .cv_entry p span:first-child {
-      min-width: 5ch;
+      min-width: var(--cv-date-width, 5ch);
       margin-right: 0.5em;
       white-space: nowrap;
     }
@@ -121,8 +519,8 @@ const ARTIST_WORKS_EXPERIMENT_MODE = 'parallax-overlap';
       pointer-events: none; /* prevent overlay interactions when hidden */
     }
     
-    /* Show thumbnails on mobile/tablet (Webflow sets opacity: 0 by default) */
-    @media (max-width: 1024px) {
+    /* Show thumbnails on touch screens (Webflow sets opacity: 0 by default) */
+    @media ${NO_HOVER_MEDIA} {
       .work_list_thumb_wrap {
         opacity: 1 !important;
         visibility: visible !important;
@@ -140,6 +538,25 @@ const ARTIST_WORKS_EXPERIMENT_MODE = 'parallax-overlap';
       opacity: 0;
     }
     
+    /* Theme cross-fade (crossfadeTheme) */
+    html.theme-transition,
+    html.theme-transition *,
+    html.theme-transition *::before,
+    html.theme-transition *::after {
+      transition: background-color ${THEME_FADE_DURATION}s ease, color ${THEME_FADE_DURATION}s ease,
+        border-color ${THEME_FADE_DURATION}s ease, fill ${THEME_FADE_DURATION}s ease,
+        stroke ${THEME_FADE_DURATION}s ease !important;
+    }
+    ::view-transition-old(root),
+    ::view-transition-new(root) {
+      animation-duration: ${THEME_FADE_DURATION}s;
+    }
+    
+    /* Closed disclosure panels (Webflow display rules would override [hidden]) */
+    [data-disclosure-panel][hidden] {
+      display: none !important;
+    }
+    
     /* Hide work list and press sections initially - will fade in after exhibition images */
     .work_list_wrap,
     .press_wrap {
@@ -182,476 +599,1045 @@ const ARTIST_WORKS_EXPERIMENT_MODE = 'parallax-overlap';
    3. UTILITY FUNCTIONS
    ═══════════════════════════════════════════════════════════════════════════
    
-   Legacy code placeholders and comments for removed functionality.
-   
-   ═══════════════════════════════════════════════════════════════════════════ */
-
-/* CV: Removed auto-italics for bracketed text */
-/* Slater.app imports REMOVED - all code is now in animations.js */
+   Shared helpers plus legacy code placeholders for removed functionality.
 
-/* ─────────────────────────────────────────────────────────────────────────────
-   OLD CODE REMOVED - All exhibition interactions now handled by:
-   - initExhibitionDetailScripts() (grid toggle, work modals, hover thumbnails)
-   ───────────────────────────────────────────────────────────────────────────── */
+   ═══════════════════════════════════════════════════════════════════════════ */
 
 /* ───────────────────────────────────────────────────────────────────────────
-   initMeasurementDimensions() - Artwork Dimensions Formatter
-   ─────────────────────────────────────────────────────────────────────────── 
-   Formats artwork dimensions (W × H × D) by hiding empty values and separators.
-   - Hides .dim-val elements that don't contain digits
-   - Shows correct number of .dim-sep separators between values
-   - Called on exhibition detail pages from initPageScripts()
+   createCleanupScope() - Teardown Handle for Page Modules
+   ───────────────────────────────────────────────────────────────────────────
+   Page modules register everything they attach (listeners, ScrollTriggers,
+   tweens, timers) on a scope and return it. initPageScripts() collects the
+   returned handles and destroyPageScripts() calls destroy() on each one when
+   Barba leaves the page.
+
+   - on(target, type, handler, options)  - addEventListener + auto remove
+   - trigger(scrollTrigger)              - kill on destroy
+   - tween(tweenOrTimeline)              - kill (and its scrollTrigger) on destroy
+   - timeout(fn, ms) / interval(fn, ms)  - cleared on destroy
+   - own(handle)                         - destroy a nested module handle
+   - add(fn)                             - any other cleanup callback
    ─────────────────────────────────────────────────────────────────────────── */
 
-function initMeasurementDimensions() {
-  const normalizeMultiplyString = (value) =>
-    value
-      .replace(/\u00A0/g, ' ')
-      .replace(/(\d)\s*[xX×]\s*(\d)/g, '$1 × $2');
-
-  const normalizeMultiplyInElement = (rootEl) => {
-    if (!rootEl) return;
-    const walker = document.createTreeWalker(rootEl, NodeFilter.SHOW_TEXT);
-    let node = walker.nextNode();
-    while (node) {
-      const original = node.nodeValue || '';
-      const next = normalizeMultiplyString(original);
-      if (next !== original) node.nodeValue = next;
-      node = walker.nextNode();
-    }
-  };
+function createCleanupScope(name) {
+  const disposers = [];
 
-  const measurementGroups = document.querySelectorAll('.g_measurement_wrap');
-  const captions = document.querySelectorAll('.ap_caption');
+  return {
+    name,
 
-  captions.forEach((caption) => normalizeMultiplyInElement(caption));
-  if (!measurementGroups.length) return;
+    on(target, type, handler, options) {
+      if (!target) return handler;
+      target.addEventListener(type, handler, options);
+      disposers.push(() => target.removeEventListener(type, handler, options));
+      return handler;
+    },
 
-  measurementGroups.forEach(group => {
-    const vals = Array.from(group.querySelectorAll('.dim-val'));
-    const seps = Array.from(group.querySelectorAll('.dim-sep'));
+    trigger(scrollTrigger) {
+      if (scrollTrigger) disposers.push(() => scrollTrigger.kill());
+      return scrollTrigger;
+    },
 
-    // Normalize user-entered multiply separators for consistent display.
-    vals.forEach(v => {
-      const raw = (v.textContent || '').trim();
-      const normalized = normalizeMultiplyString(raw);
-      if (normalized !== raw) v.textContent = normalized;
-    });
+    tween(tween) {
+      if (tween) {
+        disposers.push(() => {
+          if (tween.scrollTrigger) tween.scrollTrigger.kill();
+          tween.kill();
+        });
+      }
+      return tween;
+    },
 
-    // Keep explicit separator nodes visually consistent.
-    seps.forEach(s => {
-      s.textContent = ' × ';
-    });
+    timeout(fn, ms) {
+      const id = setTimeout(fn, ms);
+      disposers.push(() => clearTimeout(id));
+      return id;
+    },
 
-    // Hide empty values
-    vals.forEach(v => {
-      const t = (v.textContent || '').trim();
-      if (!/\d/.test(t)) v.style.display = 'none';
-    });
+    interval(fn, ms) {
+      const id = setInterval(fn, ms);
+      disposers.push(() => clearInterval(id));
+      return id;
+    },
 
-    // Collect non-empty values
-    const nonEmptyVals = vals.filter(v => v.style.display !== 'none');
+    own(handle) {
+      if (handle && typeof handle.destroy === 'function') {
+        disposers.push(() => handle.destroy());
+      }
+      return handle;
+    },
 
-    // Hide all separators first
-    seps.forEach(s => s.style.display = 'none');
+    add(fn) {
+      disposers.push(fn);
+    },
 
-    // Show exactly (#values - 1) separators, left to right
-    if (nonEmptyVals.length >= 2 && seps[0]) seps[0].style.display = '';
-    if (nonEmptyVals.length >= 3 && seps[1]) seps[1].style.display = '';
-  });
+    destroy() {
+      // Tear down in reverse order of registration
+      while (disposers.length) {
+        const dispose = disposers.pop();
+        try {
+          dispose();
+        } catch (e) {
+          console.log('⚠️ Cleanup error' + (name ? ' (' + name + ')' : '') + ':', e);
+        }
+      }
+    }
+  };
 }
 
+/* ───────────────────────────────────────────────────────────────────────────
+   registerPageController() - Page-Level APIs for window.Borto
+   ───────────────────────────────────────────────────────────────────────────
+   Page modules publish their public methods (exhibition view, slideshow,
+   slider, CV...) under a name. The controller lives as long as the module's
+   scope and is what the window.Borto facade (section 8) calls into.
+   ─────────────────────────────────────────────────────────────────────────── */
 
+const pageControllers = {};
 
-// Register the ScrollTrigger plugin with GSAP
-gsap.registerPlugin(ScrollTrigger);
+function registerPageController(scope, name, api) {
+  pageControllers[name] = api;
+  scope.add(() => {
+    if (pageControllers[name] === api) delete pageControllers[name];
+  });
+  return api;
+}
 
+function getPageController(name) {
+  return pageControllers[name] || null;
+}
 
 /* ───────────────────────────────────────────────────────────────────────────
-   initExhibitionHoverThumbnails() - Preview Thumbnail Hover (List Pages)
-   ─────────────────────────────────────────────────────────────────────────── 
-   Shows/hides preview thumbnails on hover for exhibition/artist list items.
-   - Desktop (>1024px): Hover on .g_exhibition_item_inner to show thumbnail + .g_view
-   - Mobile/Tablet: Thumbnails and view elements visible by default
-   - Animates .g_preview_thumb_wrap (opacity, y, visibility) and .g_view (opacity)
-   - Hides thumbnail on scroll
-   - Re-initializes on window resize
+   createDisclosure() - Accessible Expand/Collapse
+   ───────────────────────────────────────────────────────────────────────────
+   Shared by captions (initCaptionToggle) and the CV (initCVReadMore).
+   - Trigger: aria-expanded + aria-controls; non-button triggers get
+     role="button", tabindex="0" and Enter/Space activation
+   - Panel: animated height (or max-height) between collapsedSize and its
+     content height; collapsedSize 0 also sets [hidden] once closed, so
+     the content leaves the tab order and the accessibility tree
+   - Focus inside a panel that closes returns to the trigger
+   - Reduced motion: no animation
+
+   createDisclosure(trigger, panel, {
+     content,        // Element measured for the open size (default: panel)
+     expanded,       // Initial state
+     property,       // 'height' (default) | 'maxHeight'
+     collapsedSize,  // px or () => px; null keeps the panel fully open
+     openDuration, closeDuration, ease,
+     openClass,      // Toggled on trigger + panel (default 'is-open')
+     onToggle        // (expanded, instant) => {}
+   })
+   → { open(instant), close(instant), toggle(), set(expanded, instant),
+       isOpen(), update(), destroy() }
    ─────────────────────────────────────────────────────────────────────────── */
 
-function initExhibitionHoverThumbnails() {
-  const items = document.querySelectorAll('.g_exhibition_item_inner');
-  let lastPreviewThumb = null; // Currently visible thumbnail (if any)
-  let isDesktop; // Tracks the current mode (desktop vs. mobile/tablet)
-  let handlers = []; // Store event listener references for clean-up
+let disclosureCount = 0;
 
-  // This function will hide any visible thumbnail (used on scroll, etc.)
-  function hideThumbnail() {
-    if (lastPreviewThumb) {
-      gsap.to(lastPreviewThumb, { 
-        opacity: 0, 
-        y: 30, 
-        visibility: 'hidden', 
-        duration: 0.5,
-        ease: "power1.out" 
-      });
-      lastPreviewThumb = null;
-    }
+function createDisclosure(trigger, panel, options) {
+  const settings = Object.assign({
+    content: panel,
+    expanded: false,
+    property: 'height',
+    collapsedSize: 0,
+    openDuration: 0.75,
+    closeDuration: 0.65,
+    ease: 'power2.inOut',
+    openClass: 'is-open',
+    onToggle: null
+  }, options);
+  const scope = createCleanupScope('disclosure');
+  const openValue = settings.property === 'maxHeight' ? 'none' : 'auto';
+  let expanded = !!settings.expanded;
+  let tween = null;
+
+  function collapsedSize() {
+    const size = typeof settings.collapsedSize === 'function' ? settings.collapsedSize() : settings.collapsedSize;
+    return size == null ? null : size;
   }
 
-  function setupDesktop() {
-    const previewThumbs = document.querySelectorAll('.g_preview_thumb_wrap');
-    // Hide all thumbnails by default
-    previewThumbs.forEach((previewThumb) => {
-      gsap.set(previewThumb, { opacity: 0, y: 50, visibility: 'hidden' });
-    });
-
-    // Hide all title stickies by default
-    const titleStickies = document.querySelectorAll('.exhibition_title_sticky');
-    titleStickies.forEach((titleSticky) => {
-      gsap.set(titleSticky, { opacity: 0 });
-    });
-    
-    // Hide all .g_view elements by default
-    const gViews = document.querySelectorAll('.g_view');
-    gViews.forEach((gView) => {
-      gsap.set(gView, { opacity: 0 });
-    });
-
-    items.forEach((item) => {
-      // Get the associated preview thumbnail, title sticky, and view element
-      const exhibitionItem = item.closest('.g_exhibition_item');
-      const previewThumb = exhibitionItem.querySelector('.g_preview_thumb_wrap');
-      const titleSticky = exhibitionItem.querySelector('.exhibition_title_sticky');
-      const gView = item.querySelector('.g_view');
-
-      // Show thumbnail, title sticky, and view element when mouse enters
-      const hoverEnter = () => {
-        // Kill any in-progress animations on this thumbnail to prevent stuck states
-        gsap.killTweensOf(previewThumb);
-        
-        // If a different thumbnail is already visible, hide it first
-        if (lastPreviewThumb && lastPreviewThumb !== previewThumb) {
-          gsap.killTweensOf(lastPreviewThumb);
-          gsap.to(lastPreviewThumb, { 
-            opacity: 0, 
-            y: 30, 
-            visibility: 'hidden', 
-            duration: 0.9,
-            ease: "circ.out" 
-          });
-        }
+  function render() {
+    if (trigger) trigger.setAttribute('aria-expanded', expanded ? 'true' : 'false');
+    if (settings.openClass) {
+      if (trigger) trigger.classList.toggle(settings.openClass, expanded);
+      panel.classList.toggle(settings.openClass, expanded);
+    }
+  }
 
-        // Animate the thumbnail into view
-        gsap.fromTo(previewThumb, 
-          { opacity: 0, y: 30, visibility: 'visible' },
-          { 
-            opacity: 1, 
-            y: 0, 
-            duration: 0.9,
-            ease: "circ.out"
-          }
-        );
+  // Current state without animation (initial state, re-measure)
+  function update() {
+    if (tween) tween.progress(1).kill();
+    const size = collapsedSize();
+    panel.hidden = !expanded && size === 0;
+    gsap.set(panel, { [settings.property]: expanded || size === null ? openValue : size });
+    render();
+  }
 
-        // Fade in title sticky if it exists
-        if (titleSticky) {
-          gsap.killTweensOf(titleSticky);
-          gsap.fromTo(titleSticky, 
-            { opacity: 0 },
-            { 
-              opacity: 1, 
-              duration: 0.9,
-              ease: "circ.out"
-            }
-          );
-        }
-        
-        // Fade in .g_view element if it exists
-        if (gView) {
-          gsap.killTweensOf(gView);
-          gsap.fromTo(gView, 
-            { opacity: 0 },
-            { 
-              opacity: 1, 
-              duration: 0.9,
-              ease: "circ.out"
-            }
-          );
+  function set(next, instant) {
+    next = !!next;
+    if (next === expanded && !instant) return;
+    expanded = next;
+    if (tween) tween.kill();
+
+    const size = collapsedSize();
+    const duration = instant || isReducedMotion() ? 0 : (expanded ? settings.openDuration : settings.closeDuration);
+
+    if (!expanded && trigger && panel.contains(document.activeElement)) trigger.focus();
+    render();
+
+    if (size === null) {
+      update();
+    } else if (expanded) {
+      panel.hidden = false;
+      gsap.set(panel, { [settings.property]: panel.offsetHeight });
+      tween = scope.tween(gsap.to(panel, {
+        [settings.property]: settings.content.scrollHeight,
+        duration,
+        ease: settings.ease,
+        // Unclamped once open, so reflows (resize, fonts) never clip
+        onComplete: () => gsap.set(panel, { [settings.property]: openValue })
+      }));
+    } else {
+      gsap.set(panel, { [settings.property]: panel.offsetHeight });
+      tween = scope.tween(gsap.to(panel, {
+        [settings.property]: size,
+        duration,
+        ease: settings.ease,
+        onComplete: () => {
+          if (size === 0) panel.hidden = true;
         }
+      }));
+    }
 
-        // Update the reference to the currently visible thumbnail
-        lastPreviewThumb = previewThumb;
-      };
-
-      // Hide thumbnail, title sticky, and view element when mouse leaves the item
-      const hoverLeave = () => {
-        // Kill any in-progress animations before hiding
-        gsap.killTweensOf(previewThumb);
-        gsap.to(previewThumb, { 
-          opacity: 0, 
-          y: 30, 
-          visibility: 'hidden', 
-          duration: 0.9,
-          ease: "circ.out" 
-        });
-        
-        // Fade out title sticky if it exists
-        if (titleSticky) {
-          gsap.killTweensOf(titleSticky);
-          gsap.to(titleSticky, { 
-            opacity: 0, 
-            duration: 0.9,
-            ease: "circ.out" 
-          });
-        }
-        
-        // Fade out .g_view element if it exists
-        if (gView) {
-          gsap.killTweensOf(gView);
-          gsap.to(gView, { 
-            opacity: 0, 
-            duration: 0.9,
-            ease: "circ.out" 
-          });
-        }
-        
-        if (lastPreviewThumb === previewThumb) {
-          lastPreviewThumb = null;
-        }
-      };
+    if (settings.onToggle) settings.onToggle(expanded, duration === 0);
+  }
 
-      item.addEventListener('mouseenter', hoverEnter);
-      item.addEventListener('mouseleave', hoverLeave);
+  if (!panel.id) panel.id = 'disclosure-' + (++disclosureCount);
+  panel.setAttribute('data-disclosure-panel', '');
+  panel.style.overflow = 'hidden';
+
+  if (trigger) {
+    trigger.setAttribute('aria-controls', panel.id);
+    const isButton = trigger.tagName === 'BUTTON';
+    const isLink = trigger.tagName === 'A' && trigger.hasAttribute('href');
+    if (!isButton && !isLink) {
+      if (!trigger.hasAttribute('role')) trigger.setAttribute('role', 'button');
+      if (!trigger.hasAttribute('tabindex')) trigger.tabIndex = 0;
+    }
 
-      // Save the handlers (along with the event type) so they can be removed later
-      handlers.push({ item: item, type: 'mouseenter', handler: hoverEnter });
-      handlers.push({ item: item, type: 'mouseleave', handler: hoverLeave });
+    scope.on(trigger, 'click', function(e) {
+      e.preventDefault();
+      set(!expanded);
     });
 
-    // Add a scroll listener to hide any visible thumbnail when scrolling away
-    window.addEventListener('scroll', hideThumbnail);
-    handlers.push({ item: window, type: 'scroll', handler: hideThumbnail });
-  }
-
-  function setupMobile() {
-    // For mobile/tablet, clear GSAP inline styles (making thumbnails and titles visible by default)
-    const previewThumbs = document.querySelectorAll('.g_preview_thumb_wrap');
-    previewThumbs.forEach(previewThumb => {
-      gsap.set(previewThumb, { clearProps: 'all' });
-    });
-    
-    const titleStickies = document.querySelectorAll('.exhibition_title_sticky');
-    titleStickies.forEach(titleSticky => {
-      gsap.set(titleSticky, { clearProps: 'all' });
-    });
-    
-    const gViews = document.querySelectorAll('.g_view');
-    gViews.forEach(gView => {
-      gsap.set(gView, { clearProps: 'all' });
+    // Buttons get both keys natively, links only Enter
+    scope.on(trigger, 'keydown', function(e) {
+      if (isButton || (isLink && e.key === 'Enter')) return;
+      if (e.key === 'Enter' || e.key === ' ') {
+        e.preventDefault();
+        set(!expanded);
+      }
     });
-    
-    lastPreviewThumb = null;
   }
 
-  // Remove any event listeners added in desktop mode
-  function removeDesktopHandlers() {
-    handlers.forEach(obj => {
-      obj.item.removeEventListener(obj.type, obj.handler);
-    });
-    handlers = [];
-    lastPreviewThumb = null;
-  }
+  update();
 
-  // Set up or tear down event handlers based on viewport width
-  function handleResize() {
-    const newIsDesktop = window.innerWidth > 1024; // Adjust breakpoint as needed
+  return {
+    open: instant => set(true, instant),
+    close: instant => set(false, instant),
+    toggle: () => set(!expanded),
+    set,
+    isOpen: () => expanded,
+    update,
+    destroy: () => scope.destroy()
+  };
+}
 
-    if (newIsDesktop !== isDesktop) {
-      if (newIsDesktop) {
-        removeDesktopHandlers(); // Clean up (if switching from mobile/tablet)
-        setupDesktop();
-      } else {
-        removeDesktopHandlers();
-        setupMobile();
-      }
-      isDesktop = newIsDesktop;
-    }
-  }
+/* ───────────────────────────────────────────────────────────────────────────
+   normalizeSearchText() - Accent-Insensitive Text Matching
+   ─────────────────────────────────────────────────────────────────────────── */
 
-  // Initial execution and listen for window resize
-  handleResize();
-  window.addEventListener('resize', handleResize);
+// "Café Müller" → "cafe muller"
+function normalizeSearchText(text) {
+  return String(text || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/ß/g, 'ss')
+    .toLowerCase()
+    .replace(/\s+/g, ' ')
+    .trim();
 }
 
 /* ───────────────────────────────────────────────────────────────────────────
-   initNewsHoverThumbnails() - Preview Thumbnail Hover (News Page)
-   ─────────────────────────────────────────────────────────────────────────── 
-   Shows/hides preview thumbnails on hover for news items.
-   - Desktop (>1024px): Hover on .news_item_wrap to show thumbnail
-   - Mobile/Tablet: Thumbnails visible by default
-   - Animates .work_list_thumb_wrap with GSAP (opacity, y, visibility)
-   - Hides thumbnail on scroll
-   - Re-initializes on window resize
+   parseDateValue() - Dates From the CMS and Webflow
+   ───────────────────────────────────────────────────────────────────────────
+   One parser for every date string on the site (data-start-date, data-year,
+   .g_date text). Understands:
+   - DD.MM.YY, DD.MM.YYYY, D.M.YYYY, MM.YYYY
+   - ISO (2024-03-12, 2024-03-12T00:00:00.000Z, 2024-03) - read as a
+     calendar date, the time/zone part is ignored
+   - "March 2024", "12 March 2024", "March 12, 2024", "12. März 2024"
+     (English + German month names, abbreviations)
+   - YYYY
+   - Ranges: "2019–2021", "2019-21", "12.03.–04.05.2024", "12.–28.03.2024",
+     "March – May 2024", "… to …", "… bis …" (the start takes the missing
+     month/year from the end)
+   Two-digit years resolve to the closest century: up to 10 years ahead is
+   20YY, anything later 19YY. Impossible dates ("31.02.2024", "2024-13-45")
+   are unparseable instead of rolling over into the next month.
+
+   parseDateValue(value)   - { start, end, range, precision } or null. start
+                             is the first day, end the last day of the
+                             period ("2021" ends 31.12.2021)
+   getDateTime(value)      - Start timestamp (NaN if unparseable), for sorting
+   getDateYear(value)      - Start year (null if unparseable)
+   formatDateYear(value)   - "2024" or "2019–2021" (raw text if unparseable)
+   formatDateRange(a, b)   - "12.03.–04.05.2024", "12.–28.03.2024",
+                             "12.12.2023–04.01.2024", "2019–2021"
    ─────────────────────────────────────────────────────────────────────────── */
 
-function initNewsHoverThumbnails() {
-  console.log('🎬 initNewsHoverThumbnails() called');
-  const items = document.querySelectorAll('.news_item_wrap');
-  console.log('  Found .news_item_wrap items:', items.length);
-  if (!items.length) {
-    console.log('  ⚠️ No news items found, exiting');
-    return;
-  }
-  
-  let lastPreviewThumb = null; // Currently visible thumbnail (if any)
-  let isDesktop; // Tracks the current mode (desktop vs. mobile/tablet)
-  let handlers = []; // Store event listener references for clean-up
+const DATE_MONTHS = {
+  jan: 0, feb: 1, mar: 2, apr: 3, mai: 4, may: 4, jun: 5, jul: 6,
+  aug: 7, sep: 8, okt: 9, oct: 9, nov: 10, dez: 11, dec: 11
+};
+const DATE_RANGE_SEPARATOR = /\s*[–—]\s*|\s+-\s+|\s+(?:to|bis)\s+/i;
+
+function expandTwoDigitYear(value) {
+  const year = parseInt(value, 10);
+  if (String(value).length > 2) return year;
+  const pivot = (new Date().getFullYear() + 10) % 100;
+  return year <= pivot ? 2000 + year : 1900 + year;
+}
 
-  // This function will hide any visible thumbnail (used on scroll, etc.)
-  function hideThumbnail() {
-    if (lastPreviewThumb) {
-      gsap.to(lastPreviewThumb, { 
-        opacity: 0, 
-        y: 50, 
-        visibility: 'hidden', 
-        duration: 0.5,
-        ease: "power1.out" 
-      });
-      lastPreviewThumb = null;
+// One side of a range: { year, month, day } (missing parts null) or null
+function parseDatePart(text) {
+  const value = text.trim();
+  let match;
+
+  // ISO date (optionally with time) or ISO month
+  if ((match = value.match(/^(\d{4})-(\d{1,2})(?:-(\d{1,2}))?(?:[T\s].*)?$/))) {
+    return { year: +match[1], month: match[2] - 1, day: match[3] ? +match[3] : null };
+  }
+
+  // YYYY
+  if (/^\d{4}$/.test(value)) return { year: +value, month: null, day: null };
+
+  // MM.YYYY
+  if ((match = value.match(/^(\d{1,2})\.(\d{4})$/))) {
+    return { year: +match[2], month: match[1] - 1, day: null };
+  }
+
+  // DD.MM.YY(YY), DD.MM., DD.
+  if ((match = value.match(/^(\d{1,2})\.(?:(\d{1,2})(?:\.(\d{2}|\d{4}))?\.?)?$/))) {
+    return {
+      year: match[3] ? expandTwoDigitYear(match[3]) : null,
+      month: match[2] ? match[2] - 1 : null,
+      day: +match[1]
+    };
+  }
+
+  // Month names: "March 2024", "12. März 2024", "Mar 12, 2024", "May"
+  const tokens = normalizeSearchText(value).replace(/[.,]/g, ' ').split(' ').filter(Boolean);
+  const part = { year: null, month: null, day: null };
+  for (let i = 0; i < tokens.length; i++) {
+    const token = tokens[i];
+    if (/^\d{4}$/.test(token)) {
+      part.year = +token;
+    } else if (/^\d{1,2}$/.test(token) && part.day === null) {
+      part.day = +token;
+    } else if (/^[a-z]{3,}$/.test(token) && DATE_MONTHS[token.slice(0, 3)] !== undefined && part.month === null) {
+      part.month = DATE_MONTHS[token.slice(0, 3)];
+    } else {
+      return null;
     }
   }
+  return part.month === null ? null : part;
+}
 
-  function setupDesktop() {
-    console.log('  🖥️ Setting up desktop mode');
-    const previewThumbs = document.querySelectorAll('.work_list_thumb_wrap');
-    console.log('    Found .work_list_thumb_wrap elements (all):', previewThumbs.length);
-    
-    // Try to find News_item parent for each thumb
-    const newsItems = document.querySelectorAll('.News_item');
-    console.log('    Found .News_item parents:', newsItems.length);
-    
-    // Hide all thumbnails by default
-    previewThumbs.forEach((previewThumb) => {
-      gsap.set(previewThumb, { opacity: 0, y: 50, visibility: 'hidden' });
-    });
+// Month 1-12 and a day that exists in it (new Date() rolls 31.02. over)
+function isValidDatePart(part) {
+  if (part.month === null) return true;
+  if (part.month < 0 || part.month > 11) return false;
+  return part.day === null || (part.day >= 1 && part.day <= new Date(part.year, part.month + 1, 0).getDate());
+}
 
-    items.forEach((item, index) => {
-      // news_item_wrap and work_list_thumb_wrap are SIBLINGS inside News_item
-      // So we need to get the parent News_item first
-      const newsItem = item.parentElement; // Direct parent should be News_item
-      const previewThumb = newsItem ? newsItem.querySelector('.work_list_thumb_wrap') : null;
-
-      console.log(`    Item ${index}:`, {
-        newsItem: newsItem ? newsItem.className : 'not found',
-        previewThumb: !!previewThumb
-      });
+function buildDate(part, atEnd) {
+  if (part.month === null) return atEnd ? new Date(part.year, 11, 31) : new Date(part.year, 0, 1);
+  if (part.day === null) return atEnd ? new Date(part.year, part.month + 1, 0) : new Date(part.year, part.month, 1);
+  return new Date(part.year, part.month, part.day);
+}
 
-      if (!previewThumb) {
-        console.log(`      ⚠️ No thumbnail found for item ${index}`);
-        return;
+function getDatePrecision(part) {
+  if (part.month === null) return 'year';
+  return part.day === null ? 'month' : 'day';
+}
+
+function parseDateValue(value) {
+  const text = String(value == null ? '' : value).replace(/\u00A0/g, ' ').trim();
+  if (!text) return null;
+
+  let pieces = text.split(DATE_RANGE_SEPARATOR);
+  let match;
+  if (pieces.length === 1 && (match = text.match(/^(\d{4})\s*-\s*(\d{2}|\d{4})$/)) && !(match[2].length === 2 && +match[2] <= 12)) {
+    // 2019-2021, 2019-21, 1998-13 (2019-12 is the ISO month)
+    let end = match[2].length === 2 ? match[1].slice(0, 2) + match[2] : match[2];
+    if (match[2].length === 2 && +end < +match[1]) end = String(+end + 100);
+    pieces = [match[1], end];
+  } else if (pieces.length === 1 && (match = text.match(/^(\d{1,2}\.(?:\d{1,2}\.)?)\s*-\s*(\d.*)$/))) {
+    // 12.03.-04.05.2024
+    pieces = [match[1], match[2]];
+  }
+  if (pieces.length > 2) return null;
+
+  const startPart = parseDatePart(pieces[0]);
+  const endPart = pieces.length === 2 ? parseDatePart(pieces[1]) : startPart;
+  if (!startPart || !endPart) return null;
+
+  // "12.–28.03.2024": the start borrows month/year from the end
+  if (startPart.year === null) startPart.year = endPart.year;
+  if (startPart.month === null && startPart.day !== null) startPart.month = endPart.month;
+  if (startPart.year === null || endPart.year === null || (startPart.day !== null && startPart.month === null)) return null;
+  if (!isValidDatePart(startPart) || !isValidDatePart(endPart)) return null;
+
+  const start = buildDate(startPart, false);
+  const end = buildDate(endPart, true);
+  if (isNaN(start.getTime()) || isNaN(end.getTime())) return null;
+
+  return {
+    start,
+    end,
+    range: pieces.length === 2,
+    precision: getDatePrecision(startPart)
+  };
+}
+
+function getDateTime(value) {
+  const parsed = parseDateValue(value);
+  return parsed ? parsed.start.getTime() : NaN;
+}
+
+function getDateYear(value) {
+  const parsed = parseDateValue(value);
+  return parsed ? parsed.start.getFullYear() : null;
+}
+
+function formatDateYear(value) {
+  const parsed = parseDateValue(value);
+  if (!parsed) return String(value == null ? '' : value).trim();
+  const startYear = parsed.start.getFullYear();
+  const endYear = parsed.end.getFullYear();
+  return parsed.range && endYear !== startYear ? startYear + '–' + endYear : String(startYear);
+}
+
+function formatDateRange(startValue, endValue) {
+  const start = startValue instanceof Date ? { start: startValue, precision: 'day' } : parseDateValue(startValue);
+  if (!start) return '';
+  const end = endValue instanceof Date ? { start: endValue, precision: 'day' } : parseDateValue(endValue);
+  const from = start.start;
+  const to = end ? end.start : start.end;
+  const pad = number => String(number).padStart(2, '0');
+
+  // Years only: "2019–2021"
+  if (start.precision !== 'day' || (end && end.precision !== 'day')) {
+    return from.getFullYear() === to.getFullYear()
+      ? String(from.getFullYear())
+      : from.getFullYear() + '–' + to.getFullYear();
+  }
+
+  const toText = pad(to.getDate()) + '.' + pad(to.getMonth() + 1) + '.' + to.getFullYear();
+  if (from.getTime() === to.getTime()) return toText;
+  if (from.getFullYear() !== to.getFullYear()) {
+    return pad(from.getDate()) + '.' + pad(from.getMonth() + 1) + '.' + from.getFullYear() + '–' + toText;
+  }
+  if (from.getMonth() !== to.getMonth()) return pad(from.getDate()) + '.' + pad(from.getMonth() + 1) + '.–' + toText;
+  return pad(from.getDate()) + '.–' + toText;
+}
+
+/* ───────────────────────────────────────────────────────────────────────────
+   parseCaption() / renderCaption() - Safe Caption Markup
+   ─────────────────────────────────────────────────────────────────────────── 
+   Small formatting language for CMS captions (slider image alt, .ap_caption,
+   .works_modal captions). Output is built from DOM nodes, everything that
+   is not markup stays text, so CMS content can never inject HTML.
+   - [text]               italic (.g-italic)
+   - [label](url)         link; http(s), mailto, tel, / and # only, external
+                          links open in a new tab
+   - newline or <br>      line break
+   - Structured fields, separated by " | " or line breaks:
+       Title: Untitled | Year: 2021 | Medium: Oil on canvas |
+       Dimensions: 120 x 80 cm | Photo: Jane Doe
+     (also Titel / Jahr / Material, Technik / Maße, Size / Foto, Credit).
+     Title is italic, dimensions get a × separator; title, year, medium and
+     dimensions share a line, the photo credit gets its own. Each field is a span.caption_field.is-<key>
+   getCaptionText() is the plain-text version (alt attributes, aria).
+   ─────────────────────────────────────────────────────────────────────────── */
+
+const CAPTION_FIELDS = {
+  title: /^(title|titel)$/i,
+  year: /^(year|date|jahr|datum)$/i,
+  medium: /^(medium|material|technique|technik)$/i,
+  dimensions: /^(dimensions|size|maße|masse|format)$/i,
+  credit: /^(photo|photo credit|credit|foto|fotografie)$/i
+};
+const CAPTION_TOKEN_PATTERN = /\[([^\[\]]+)\]\(([^()\s]+)\)|\[([^\[\]]+)\]|<br\s*\/?>|\r?\n/gi;
+const CAPTION_SAFE_URL = /^(https?:|mailto:|tel:|\/|#)/i;
+
+// Inline markup → [{ type: 'text' | 'italic' | 'link' | 'break', text, href }]
+function parseCaptionInline(text) {
+  const tokens = [];
+  let lastIndex = 0;
+  let match;
+  CAPTION_TOKEN_PATTERN.lastIndex = 0;
+  while ((match = CAPTION_TOKEN_PATTERN.exec(text))) {
+    if (match.index > lastIndex) tokens.push({ type: 'text', text: text.slice(lastIndex, match.index) });
+    if (match[1] !== undefined) {
+      tokens.push(CAPTION_SAFE_URL.test(match[2])
+        ? { type: 'link', text: match[1], href: match[2] }
+        : { type: 'text', text: match[1] });
+    } else if (match[3] !== undefined) {
+      tokens.push({ type: 'italic', text: match[3] });
+    } else {
+      tokens.push({ type: 'break' });
+    }
+    lastIndex = CAPTION_TOKEN_PATTERN.lastIndex;
+  }
+  if (lastIndex < text.length) tokens.push({ type: 'text', text: text.slice(lastIndex) });
+  return tokens;
+}
+
+// { fields: [{ key, label, value }] } when every part is a known field,
+// else { inline: tokens }
+function parseCaption(source) {
+  const text = String(source || '').trim();
+  const parts = text.split(/\s+\|\s+|\r?\n|<br\s*\/?>/i).map(part => part.trim()).filter(Boolean);
+  const fields = parts.map(part => {
+    const match = part.match(/^([^:]{2,20}?)\s*:\s*(.+)$/);
+    const key = match && Object.keys(CAPTION_FIELDS).find(name => CAPTION_FIELDS[name].test(match[1].trim()));
+    return key ? { key, label: match[1].trim(), value: match[2] } : null;
+  });
+  if (fields.length && fields.every(Boolean)) return { fields };
+  return { inline: parseCaptionInline(text) };
+}
+
+function appendCaptionTokens(parent, tokens) {
+  tokens.forEach(token => {
+    if (token.type === 'break') {
+      parent.appendChild(document.createElement('br'));
+      return;
+    }
+    if (token.type === 'text') {
+      parent.appendChild(document.createTextNode(token.text));
+      return;
+    }
+    const el = document.createElement(token.type === 'link' ? 'a' : 'span');
+    el.textContent = token.text;
+    if (token.type === 'italic') {
+      el.className = 'g-italic';
+    } else {
+      el.href = token.href;
+      if (/^https?:/i.test(token.href) && el.host !== window.location.host) {
+        el.target = '_blank';
+        el.rel = 'noopener';
       }
+    }
+    parent.appendChild(el);
+  });
+}
 
-      // Show thumbnail when mouse enters
-      const hoverEnter = () => {
-        console.log('      🔥 HOVER ENTER triggered on item', index);
-        
-        // Kill any in-progress animations on this thumbnail to prevent stuck states
-        gsap.killTweensOf(previewThumb);
-        
-        // If a different thumbnail is already visible, hide it first
-        if (lastPreviewThumb && lastPreviewThumb !== previewThumb) {
-          console.log('        Hiding previous thumbnail');
-          gsap.killTweensOf(lastPreviewThumb);
-          gsap.to(lastPreviewThumb, { 
-            opacity: 0, 
-            y: 50, 
-            visibility: 'hidden', 
-            duration: 0.9,
-            ease: "circ.out" 
-          });
-        }
+// Replaces target's content with the formatted caption
+function renderCaption(target, source) {
+  const caption = parseCaption(source);
+  const fragment = document.createDocumentFragment();
 
-        console.log('        Showing thumbnail with animation');
-        // Animate the thumbnail FROM offset position to its natural position
-        gsap.set(previewThumb, { visibility: 'visible', opacity: 1, y: 0 });
-        gsap.from(previewThumb, { 
-          opacity: 0, 
-          y: 50, 
-          duration: 0.9,
-          ease: "circ.out"
-        });
+  if (caption.inline) {
+    appendCaptionTokens(fragment, caption.inline);
+  } else {
+    const credits = caption.fields.filter(field => field.key === 'credit');
+    caption.fields.filter(field => field.key !== 'credit').forEach((field, index) => {
+      if (index) fragment.appendChild(document.createTextNode(', '));
+      const span = document.createElement('span');
+      span.className = 'caption_field is-' + field.key;
+      if (field.key === 'title') span.classList.add('g-italic');
+      const value = field.key === 'dimensions' ? field.value.replace(/(\d)\s*[xX×]\s*(\d)/g, '$1 × $2') : field.value;
+      appendCaptionTokens(span, parseCaptionInline(value));
+      fragment.appendChild(span);
+    });
+    credits.forEach(field => {
+      if (fragment.childNodes.length) fragment.appendChild(document.createElement('br'));
+      const span = document.createElement('span');
+      span.className = 'caption_field is-credit';
+      appendCaptionTokens(span, parseCaptionInline(field.label + ': ' + field.value));
+      fragment.appendChild(span);
+    });
+  }
 
-        // Update the reference to the currently visible thumbnail
-        lastPreviewThumb = previewThumb;
-      };
+  target.textContent = '';
+  target.appendChild(fragment);
+  return target;
+}
 
-      // Hide thumbnail when mouse leaves the item
-      const hoverLeave = () => {
-        // Kill any in-progress animations before hiding
-        gsap.killTweensOf(previewThumb);
-        gsap.to(previewThumb, { 
-          opacity: 0, 
-          y: 30, 
-          visibility: 'hidden', 
-          duration: 0.9,
-          ease: "circ.out" 
-        });
-        
-        if (lastPreviewThumb === previewThumb) {
-          lastPreviewThumb = null;
-        }
+// Plain text of a caption: markup removed, links reduced to their label
+function getCaptionText(source) {
+  const caption = parseCaption(source);
+  const inlineText = (tokens) => tokens.map(token => (token.type === 'break' ? ' ' : token.text)).join('');
+
+  if (caption.inline) return inlineText(caption.inline).replace(/\s+/g, ' ').trim();
+  const main = caption.fields
+    .filter(field => field.key !== 'credit')
+    .map(field => inlineText(parseCaptionInline(field.value)).trim());
+  const credits = caption.fields
+    .filter(field => field.key === 'credit')
+    .map(field => field.label + ': ' + inlineText(parseCaptionInline(field.value)).trim());
+  return [main.join(', ')].concat(credits).filter(Boolean).join('. ');
+}
+
+/* CV: Removed auto-italics for bracketed text */
+/* Slater.app imports REMOVED - all code is now in animations.js */
+
+/* ─────────────────────────────────────────────────────────────────────────────
+   OLD CODE REMOVED - All exhibition interactions now handled by:
+   - initExhibitionDetailScripts() (grid toggle, work modals, hover thumbnails)
+   ───────────────────────────────────────────────────────────────────────────── */
+
+/* ───────────────────────────────────────────────────────────────────────────
+   initCaptionMarkup() - Format CMS Captions
+   ─────────────────────────────────────────────────────────────────────────── 
+   Renders caption markup (see parseCaption) in .ap_caption, captions inside
+   .works_modal and [data-caption-markup] elements. Only plain-text captions
+   (text and <br>) are rendered; captions that already contain other HTML are
+   left as they are. The source is kept in data-caption, so running again
+   (Barba, Borto.init) doesn't parse rendered output.
+   Runs before initMeasurementDimensions(), which normalizes × in the result.
+   ─────────────────────────────────────────────────────────────────────────── */
+
+const CAPTION_MARKUP_SELECTOR = '.ap_caption, .works_modal [class*="caption"], [data-caption-markup]';
+
+function initCaptionMarkup() {
+  let rendered = 0;
+  document.querySelectorAll(CAPTION_MARKUP_SELECTOR).forEach(el => {
+    if (el.hasAttribute('data-caption')) return;
+    const nodes = Array.from(el.childNodes);
+    if (nodes.some(node => node.nodeType === Node.ELEMENT_NODE && node.tagName !== 'BR')) return;
+
+    // Source whitespace collapses like HTML; <br> is the line break
+    const source = nodes
+      .map(node => (node.nodeType === Node.TEXT_NODE ? node.nodeValue.replace(/\s+/g, ' ') : (node.tagName === 'BR' ? '\n' : '')))
+      .join('')
+      .trim();
+    if (!source) return;
+
+    el.setAttribute('data-caption', source);
+    renderCaption(el, source);
+    rendered++;
+  });
+  if (rendered) console.log('📝 Captions formatted:', rendered);
+}
+
+/* ───────────────────────────────────────────────────────────────────────────
+   initMeasurementDimensions() - Artwork Dimensions Formatter
+   ─────────────────────────────────────────────────────────────────────────── 
+   Formats artwork dimensions (W × H × D) by hiding empty values and separators.
+   - Hides .dim-val elements that don't contain digits
+   - Shows correct number of .dim-sep separators between values
+   - Called on exhibition detail pages from initPageScripts()
+   ─────────────────────────────────────────────────────────────────────────── */
+
+function initMeasurementDimensions() {
+  const normalizeMultiplyString = (value) =>
+    value
+      .replace(/\u00A0/g, ' ')
+      .replace(/(\d)\s*[xX×]\s*(\d)/g, '$1 × $2');
+
+  const normalizeMultiplyInElement = (rootEl) => {
+    if (!rootEl) return;
+    const walker = document.createTreeWalker(rootEl, NodeFilter.SHOW_TEXT);
+    let node = walker.nextNode();
+    while (node) {
+      const original = node.nodeValue || '';
+      const next = normalizeMultiplyString(original);
+      if (next !== original) node.nodeValue = next;
+      node = walker.nextNode();
+    }
+  };
+
+  const measurementGroups = document.querySelectorAll('.g_measurement_wrap');
+  const captions = document.querySelectorAll('.ap_caption');
+
+  captions.forEach((caption) => normalizeMultiplyInElement(caption));
+  if (!measurementGroups.length) return;
+
+  measurementGroups.forEach(group => {
+    const vals = Array.from(group.querySelectorAll('.dim-val'));
+    const seps = Array.from(group.querySelectorAll('.dim-sep'));
+
+    // Normalize user-entered multiply separators for consistent display.
+    vals.forEach(v => {
+      const raw = (v.textContent || '').trim();
+      const normalized = normalizeMultiplyString(raw);
+      if (normalized !== raw) v.textContent = normalized;
+    });
+
+    // Keep explicit separator nodes visually consistent.
+    seps.forEach(s => {
+      s.textContent = ' × ';
+    });
+
+    // Hide empty values
+    vals.forEach(v => {
+      const t = (v.textContent || '').trim();
+      if (!/\d/.test(t)) v.style.display = 'none';
+    });
+
+    // Collect non-empty values
+    const nonEmptyVals = vals.filter(v => v.style.display !== 'none');
+
+    // Hide all separators first
+    seps.forEach(s => s.style.display = 'none');
+
+    // Show exactly (#values - 1) separators, left to right
+    if (nonEmptyVals.length >= 2 && seps[0]) seps[0].style.display = '';
+    if (nonEmptyVals.length >= 3 && seps[1]) seps[1].style.display = '';
+  });
+}
+
+
+
+// Register the ScrollTrigger plugin with GSAP
+gsap.registerPlugin(ScrollTrigger);
+
+
+/* ───────────────────────────────────────────────────────────────────────────
+   createHoverPreview() - Hover Preview Engine
+   ─────────────────────────────────────────────────────────────────────────── 
+   One state machine for every "show a preview while hovering a row" list
+   (exhibition/artist lists, news, exhibition work list). Options:
+   - trigger     - rows that react to the pointer
+   - preview     - element revealed per row (looked up inside `scope`)
+   - scope       - closest() ancestor holding the row's preview
+                   (default: the trigger's parent)
+   - companions  - extra elements inside `scope` faded with the preview
+   - enter/leave - 'fade-up' (opacity + `offset` px) | 'fade' (opacity only)
+   - follow      - preview tracks the pointer with inertia (quickTo),
+                   clamped to the viewport; moving to the next row
+                   crossfades from the old preview's position. Uses
+                   opacity-only enter/leave, since x/y follow the pointer.
+   Only one preview is visible at a time, scrolling hides it. Hover mode
+   follows the pointer (HOVER_POINTER_QUERY), not the viewport width: on
+   touch screens previews stay visible via CSS and inline styles are
+   cleared. Reduced motion always uses 'fade'.
+   ─────────────────────────────────────────────────────────────────────────── */
+
+const HOVER_PREVIEW_DEFAULTS = {
+  trigger: null,
+  preview: null,
+  scope: null,
+  companions: '',
+  enter: 'fade-up',
+  leave: 'fade-up',
+  offset: 30,
+  follow: false,
+  followOffset: 24, // px right/below the pointer
+  followMargin: 12  // px kept clear of the viewport edges
+};
+
+function createHoverPreview(root, options) {
+  const scope = createCleanupScope('hover-preview:' + options.name);
+
+  const entries = Array.from(root.querySelectorAll(options.trigger))
+    .map(trigger => {
+      const itemScope = (options.scope && trigger.closest(options.scope)) || trigger.parentElement;
+      return {
+        trigger,
+        preview: itemScope ? itemScope.querySelector(options.preview) : null,
+        companions: itemScope && options.companions ? Array.from(itemScope.querySelectorAll(options.companions)) : []
       };
+    })
+    .filter(entry => entry.preview);
+
+  if (!entries.length) return scope;
+  console.log('🖼️ Hover preview "' + options.name + '":', entries.length, 'items');
+
+  let active = null;      // Entry whose preview is showing
+  let hoverScope = null;  // Listeners that only exist while the pointer can hover
+  const pointer = { x: 0, y: 0 };
+
+  // Hidden-state vars for the enter or leave animation
+  function hiddenVars(kind) {
+    if (options.follow) return { opacity: 0 };
+    const animation = isReducedMotion() ? 'fade' : options[kind];
+    return { opacity: 0, y: animation === 'fade-up' ? options.offset : 0 };
+  }
+
+  // Follow mode: x/y that put the preview next to the pointer, inside the
+  // viewport, in the coordinates of its containing block (entry.origin)
+  function followTarget(entry) {
+    const margin = options.followMargin;
+    const maxLeft = window.innerWidth - entry.size.width - margin;
+    const maxTop = window.innerHeight - entry.size.height - margin;
+    const left = gsap.utils.clamp(margin, Math.max(margin, maxLeft), pointer.x + options.followOffset);
+    const top = gsap.utils.clamp(margin, Math.max(margin, maxTop), pointer.y + options.followOffset);
+    return { x: left - entry.origin.x, y: top - entry.origin.y };
+  }
+
+  function startFollowing(entry, from) {
+    // position:fixed resolves against transformed ancestors (stagger rows),
+    // so measure where x/y = 0 actually lands instead of assuming 0,0
+    const rect = entry.preview.getBoundingClientRect();
+    const x = gsap.getProperty(entry.preview, 'x');
+    const y = gsap.getProperty(entry.preview, 'y');
+    entry.origin = { x: rect.left - x, y: rect.top - y };
+    entry.size = { width: rect.width, height: rect.height };
+
+    // Crossfade: start where the previous preview currently is
+    const start = from
+      ? { x: from.left - entry.origin.x, y: from.top - entry.origin.y }
+      : followTarget(entry);
+    gsap.set(entry.preview, start);
+
+    const duration = isReducedMotion() ? 0 : CONFIG.hover.followDuration;
+    const quickVars = { duration, ease: CONFIG.hover.followEase };
+    entry.moveX = gsap.quickTo(entry.preview, 'x', quickVars);
+    entry.moveY = gsap.quickTo(entry.preview, 'y', quickVars);
+    followPointer(entry);
+  }
+
+  function followPointer(entry) {
+    const target = followTarget(entry);
+    entry.moveX(target.x);
+    entry.moveY(target.y);
+  }
 
-      item.addEventListener('mouseenter', hoverEnter);
-      item.addEventListener('mouseleave', hoverLeave);
+  function show(entry, event) {
+    let from = null;
+    if (active && active !== entry) {
+      if (options.follow) {
+        const rect = active.preview.getBoundingClientRect();
+        from = { left: rect.left, top: rect.top };
+      }
+      hide(active, CONFIG.hover.duration, CONFIG.hover.ease, false);
+    }
 
-      // Save the handlers (along with the event type) so they can be removed later
-      handlers.push({ item: item, type: 'mouseenter', handler: hoverEnter });
-      handlers.push({ item: item, type: 'mouseleave', handler: hoverLeave });
+    gsap.killTweensOf(entry.preview);
+    if (options.follow) {
+      if (event) {
+        pointer.x = event.clientX;
+        pointer.y = event.clientY;
+      }
+      startFollowing(entry, from);
+      gsap.fromTo(entry.preview,
+        { visibility: 'visible', opacity: 0 },
+        { opacity: 1, duration: CONFIG.hover.duration, ease: CONFIG.hover.ease }
+      );
+    } else {
+      gsap.fromTo(entry.preview,
+        Object.assign({ visibility: 'visible' }, hiddenVars('enter')),
+        { opacity: 1, y: 0, duration: CONFIG.hover.duration, ease: CONFIG.hover.ease }
+      );
+    }
+    entry.companions.forEach(el => {
+      gsap.killTweensOf(el);
+      gsap.fromTo(el, { opacity: 0 }, { opacity: 1, duration: CONFIG.hover.duration, ease: CONFIG.hover.ease });
     });
+    active = entry;
+  }
 
-    // Add a scroll listener to hide any visible thumbnail when scrolling away
-    window.addEventListener('scroll', hideThumbnail);
-    handlers.push({ item: window, type: 'scroll', handler: hideThumbnail });
+  function hide(entry, duration, ease, withCompanions) {
+    // Follow mode: only stop the fade, the preview keeps its inertia
+    if (options.follow) {
+      gsap.killTweensOf(entry.preview, 'opacity,visibility');
+    } else {
+      gsap.killTweensOf(entry.preview);
+    }
+    gsap.to(entry.preview, Object.assign({ visibility: 'hidden', duration, ease }, hiddenVars('leave')));
+    if (withCompanions) {
+      entry.companions.forEach(el => {
+        gsap.killTweensOf(el);
+        gsap.to(el, { opacity: 0, duration, ease });
+      });
+    }
+    if (active === entry) active = null;
   }
 
-  function setupMobile() {
-    // For mobile/tablet, clear GSAP inline styles (making thumbnails visible by default)
-    const previewThumbs = document.querySelectorAll('.News_item .work_list_thumb_wrap');
-    previewThumbs.forEach(previewThumb => {
-      gsap.set(previewThumb, { clearProps: 'all' });
+  function enableHover() {
+    hoverScope = createCleanupScope('hover-preview-pointer:' + options.name);
+
+    entries.forEach(entry => {
+      gsap.set(entry.preview, Object.assign({ visibility: 'hidden' }, hiddenVars('enter')));
+      if (entry.companions.length) gsap.set(entry.companions, { opacity: 0 });
+      if (options.follow) {
+        gsap.set(entry.preview, { position: 'fixed', left: 0, top: 0, margin: 0, x: 0, y: 0, pointerEvents: 'none' });
+      }
+
+      hoverScope.on(entry.trigger, 'mouseenter', (e) => show(entry, e));
+      hoverScope.on(entry.trigger, 'mouseleave', () => hide(entry, CONFIG.hover.duration, CONFIG.hover.ease, true));
     });
-    
-    lastPreviewThumb = null;
+
+    if (options.follow) {
+      hoverScope.on(window, 'mousemove', (e) => {
+        pointer.x = e.clientX;
+        pointer.y = e.clientY;
+        if (active) followPointer(active);
+      }, { passive: true });
+    }
+
+    // Scrolling away hides the preview (row companions stay under the pointer)
+    hoverScope.on(window, 'scroll', () => {
+      if (active) hide(active, CONFIG.hover.hideDuration, CONFIG.hover.hideEase, false);
+    }, { passive: true });
   }
 
-  // Remove any event listeners added in desktop mode
-  function removeDesktopHandlers() {
-    handlers.forEach(obj => {
-      obj.item.removeEventListener(obj.type, obj.handler);
+  function disableHover() {
+    if (hoverScope) hoverScope.destroy();
+    hoverScope = null;
+    active = null;
+
+    // Touch: previews/companions fall back to their CSS (visible) state
+    entries.forEach(entry => {
+      const elements = [entry.preview].concat(entry.companions);
+      gsap.killTweensOf(elements);
+      gsap.set(elements, { clearProps: 'opacity,visibility,transform' });
+      if (options.follow) {
+        gsap.set(entry.preview, { clearProps: 'position,left,top,margin,pointerEvents' });
+      }
     });
-    handlers = [];
-    lastPreviewThumb = null;
   }
 
-  // Set up or tear down event handlers based on viewport width
-  function handleResize() {
-    const newIsDesktop = window.innerWidth > 1024; // Adjust breakpoint as needed
+  function syncPointerMode() {
+    const canHover = !!(hoverPointerQuery && hoverPointerQuery.matches);
+    if (canHover && !hoverScope) {
+      enableHover();
+    } else if (!canHover) {
+      disableHover();
+    }
+  }
 
-    if (newIsDesktop !== isDesktop) {
-      if (newIsDesktop) {
-        removeDesktopHandlers(); // Clean up (if switching from mobile/tablet)
-        setupDesktop();
-      } else {
-        removeDesktopHandlers();
-        setupMobile();
-      }
-      isDesktop = newIsDesktop;
+  syncPointerMode();
+
+  // Mouse plugged into a tablet, touch laptop switching modes, etc.
+  if (hoverPointerQuery) {
+    if (hoverPointerQuery.addEventListener) {
+      scope.on(hoverPointerQuery, 'change', syncPointerMode);
+    } else if (hoverPointerQuery.addListener) {
+      hoverPointerQuery.addListener(syncPointerMode); // Safari < 14
+      scope.add(() => hoverPointerQuery.removeListener(syncPointerMode));
+    }
+  }
+
+  scope.add(() => {
+    if (hoverScope) hoverScope.destroy();
+    hoverScope = null;
+  });
+
+  return scope;
+}
+
+/* ───────────────────────────────────────────────────────────────────────────
+   initHoverPreviews() - Hover Previews from Presets + Data Attributes
+   ─────────────────────────────────────────────────────────────────────────── 
+   initHoverPreviews('exhibitions' | 'news' | 'works') runs a built-in preset
+   (getHoverPreviewPresets) page-wide, or once per
+   [data-hover-preview="<name>"] root if the page marks its lists.
+   initHoverPreviews() runs every [data-hover-preview] root that is not a
+   preset name, configured purely by attributes:
+
+     <div data-hover-preview="press"
+          data-hover-trigger=".press_item"
+          data-hover-target=".press_thumb"
+          data-hover-scope=".press_row"
+          data-hover-companions=".press_view"
+          data-hover-enter="fade-up" data-hover-leave="fade"
+          data-hover-offset="40">
+
+   The same data-hover-* attributes override a preset on its root. Add
+   data-hover-follow (optionally data-hover-follow-offset="32") to make a
+   list's previews follow the cursor, e.g. on the exhibitions list:
+     <div data-hover-preview="exhibitions" data-hover-follow>
+   ─────────────────────────────────────────────────────────────────────────── */
+
+function getHoverPreviewPresets() {
+  return {
+    exhibitions: {
+      trigger: CONFIG.selectors.exhibitionItem,
+      preview: CONFIG.selectors.previewThumb,
+      scope: '.g_exhibition_item',
+      companions: '.exhibition_title_sticky, .g_view'
+    },
+    // News rows and work list captions are siblings of their thumbnail
+    news: {
+      trigger: CONFIG.selectors.newsItem,
+      preview: CONFIG.selectors.workThumb
+    },
+    works: {
+      trigger: CONFIG.selectors.workItem,
+      preview: CONFIG.selectors.workThumb
     }
+  };
+}
+
+function readHoverPreviewAttributes(root) {
+  const attributes = {};
+  const data = root.dataset || {};
+  if (data.hoverTrigger) attributes.trigger = data.hoverTrigger;
+  if (data.hoverTarget) attributes.preview = data.hoverTarget;
+  if (data.hoverScope) attributes.scope = data.hoverScope;
+  if (data.hoverCompanions !== undefined) attributes.companions = data.hoverCompanions;
+  if (data.hoverEnter) attributes.enter = data.hoverEnter;
+  if (data.hoverLeave) attributes.leave = data.hoverLeave;
+  if (data.hoverOffset && !isNaN(parseFloat(data.hoverOffset))) attributes.offset = parseFloat(data.hoverOffset);
+  if (data.hoverFollow !== undefined) attributes.follow = data.hoverFollow !== 'false';
+  if (data.hoverFollowOffset && !isNaN(parseFloat(data.hoverFollowOffset))) {
+    attributes.followOffset = parseFloat(data.hoverFollowOffset);
+  }
+  return attributes;
+}
+
+function initHoverPreviews(presetName) {
+  const scope = createCleanupScope('hover-previews' + (presetName ? ':' + presetName : ''));
+  const presets = getHoverPreviewPresets();
+  let roots;
+
+  if (presetName) {
+    roots = Array.from(document.querySelectorAll('[data-hover-preview="' + presetName + '"]'));
+    if (!roots.length) roots = [document.body];
+  } else {
+    roots = Array.from(document.querySelectorAll('[data-hover-preview]'))
+      .filter(root => !presets[root.dataset.hoverPreview]);
   }
 
-  // Initial execution and listen for window resize
-  handleResize();
-  window.addEventListener('resize', handleResize);
+  roots.forEach(root => {
+    const options = Object.assign(
+      { name: presetName || root.dataset.hoverPreview || 'custom' },
+      HOVER_PREVIEW_DEFAULTS,
+      presetName ? presets[presetName] : null,
+      readHoverPreviewAttributes(root)
+    );
+    if (!options.trigger || !options.preview) {
+      console.log('⚠️ Hover preview needs data-hover-trigger and data-hover-target:', root);
+      return;
+    }
+    scope.own(createHoverPreview(root, options));
+  });
+
+  return scope;
+}
+
+/* ───────────────────────────────────────────────────────────────────────────
+   logoLettersFromVars() - Home Logo Letter Fly-In
+   ─────────────────────────────────────────────────────────────────────────── 
+   gsap.from() vars for the .svg-letter splash (home, old home). Letters rise
+   from below with a tight stagger; reduced motion fades them in place.
+   ─────────────────────────────────────────────────────────────────────────── */
+
+function logoLettersFromVars() {
+  if (isReducedMotion()) {
+    return { opacity: 0, duration: 0.4, ease: "power1.out" };
+  }
+  return {
+    y: 400,
+    duration: 0.7, // Longer duration for smoother feel
+    opacity: 0,
+    stagger: 0.04, // Less stagger = more overlap between letters
+    ease: "expo.inOut"
+  };
 }
 
 /* ───────────────────────────────────────────────────────────────────────────
@@ -664,36 +1650,40 @@ function initNewsHoverThumbnails() {
    ─────────────────────────────────────────────────────────────────────────── */
 
 function initLogoScrollAnimation() {
+  const scope = createCleanupScope('logo-scroll');
   const logoWrap = document.querySelector(".logo_wrap");
   if (!logoWrap) {
     console.log('⚠️ Logo wrap not found for scroll animation');
-    return;
+    return scope;
   }
   
   console.log('🎬 Setting up logo scroll animation');
   
-  // Set initial state
+  // Set initial state (reduced motion: letters fade in place)
+  const reduced = isReducedMotion();
   gsap.set(".logo_wrap", { opacity: 1 });
-  gsap.set(".svg-letter", { opacity: 0, y: 400 });
+  gsap.set(".svg-letter", { opacity: 0, y: reduced ? 0 : 400 });
   
   // Create ScrollTrigger for logo
-  ScrollTrigger.create({
+  scope.trigger(ScrollTrigger.create({
     trigger: logoWrap,
-    start: 'top 70%', // Trigger when logo is 70% down the viewport
+    start: CONFIG.scroll.logoStart, // Default: logo is 70% down the viewport
     once: true,
     markers: false,
     onEnter: () => {
       console.log('✅ Logo ScrollTrigger FIRED - animating');
       
-      gsap.to(".svg-letter", {
+      scope.tween(gsap.to(".svg-letter", {
         y: 0,
         opacity: 1,
-        duration: 0.7,
-        stagger: 0.04,
-        ease: "expo.inOut"
-      });
+        duration: reduced ? 0.4 : 0.7,
+        stagger: reduced ? 0 : 0.04,
+        ease: reduced ? "power1.out" : "expo.inOut"
+      }));
     }
-  });
+  }));
+
+  return scope;
 }
 
 /* ───────────────────────────────────────────────────────────────────────────
@@ -704,8 +1694,9 @@ function initLogoScrollAnimation() {
    ─────────────────────────────────────────────────────────────────────────── */
 
 function initZigScrollAnimation() {
+  const scope = createCleanupScope('zig-scroll');
   const items = document.querySelectorAll('.current_grid_item');
-  if (!items.length) return;
+  if (!items.length) return scope;
 
   console.log('🎬 Setting up scroll animations for', items.length, 'zig items');
 
@@ -713,9 +1704,9 @@ function initZigScrollAnimation() {
     console.log('  ➜ Creating ScrollTrigger for zig item', index + 1);
     
     // Create separate ScrollTrigger - EXACT SAME AS ARTIST PAGE
-    ScrollTrigger.create({
+    scope.trigger(ScrollTrigger.create({
       trigger: item,
-      start: 'top 60%',
+      start: CONFIG.scroll.zigStart,
       once: true,
       markers: false,
       onEnter: () => {
@@ -733,7 +1724,7 @@ function initZigScrollAnimation() {
           }
         );
       }
-    });
+    }));
   });
 
   // Wait for images to load before refreshing ScrollTrigger
@@ -752,7 +1743,7 @@ function initZigScrollAnimation() {
   };
   
   if (images.length === 0) {
-    setTimeout(() => ScrollTrigger.refresh(), 100);
+    scope.timeout(() => ScrollTrigger.refresh(), 100);
   } else {
     images.forEach(img => {
       if (img.complete) {
@@ -764,11 +1755,13 @@ function initZigScrollAnimation() {
     });
     
     // Fallback: refresh after 2 seconds regardless
-    setTimeout(() => {
+    scope.timeout(() => {
       console.log('⏱️ Timeout reached, forcing ScrollTrigger refresh...');
       ScrollTrigger.refresh();
     }, 2000);
   }
+
+  return scope;
 }
 
 /* ───────────────────────────────────────────────────────────────────────────
@@ -776,13 +1769,16 @@ function initZigScrollAnimation() {
    ─────────────────────────────────────────────────────────────────────────── 
    Animates SVG logo letters with stroke drawing effect on page load.
    Each letter is drawn in sequence with stagger. Runs on home-zig page.
+   Fills restored after drawing follow the theme (getThemeFill).
    ─────────────────────────────────────────────────────────────────────────── */
 
 function initLogoDrawAnimation() {
+  const scope = createCleanupScope('logo-draw');
+
   // Check if DrawSVG plugin is available
   if (typeof DrawSVGPlugin === 'undefined') {
     console.log('⚠️ DrawSVG plugin not loaded - using fallback animation');
-    return;
+    return scope;
   }
   
   const svgLetters = document.querySelectorAll('.svg-letter');
@@ -790,12 +1786,18 @@ function initLogoDrawAnimation() {
   
   if (!svgLetters.length) {
     console.log('⚠️ No SVG letters found for draw animation');
-    return;
+    return scope;
   }
   
   if (!trigger) {
     console.log('⚠️ No .current_wrap trigger found for draw animation');
-    return;
+    return scope;
+  }
+  
+  // Reduced motion: keep the logo fully drawn and filled
+  if (isReducedMotion()) {
+    console.log('🎨 Reduced motion - skipping logo draw animation');
+    return scope;
   }
   
   console.log('🎨 Setting up DrawSVG animation for', svgLetters.length, 'letters with ScrollTrigger');
@@ -806,8 +1808,8 @@ function initLogoDrawAnimation() {
   // Store original fill values and hide fill initially
   const paths = document.querySelectorAll('.svg-letter path');
   paths.forEach(path => {
-    // Store original fill
-    path.dataset.originalFill = path.getAttribute('fill') || 'currentColor';
+    // Store original fill (themed, see initThemeAssets)
+    path.dataset.originalFill = getThemeFill(path);
     // Hide fill during drawing
     path.style.fill = 'none';
   });
@@ -816,14 +1818,14 @@ function initLogoDrawAnimation() {
   gsap.set('.svg-letter path', { drawSVG: '0%' });
   
   // Create ScrollTrigger animation
-  gsap.to('.svg-letter path', {
+  const drawTween = scope.tween(gsap.to('.svg-letter path', {
     drawSVG: '100%',
     duration: 1.2,
     stagger: 0.08, // Stagger between each path
     ease: 'power2.inOut',
     scrollTrigger: {
       trigger: '.current_wrap',
-      start: 'top 80%', // Start when top of .current_wrap hits 80% of viewport
+      start: CONFIG.scroll.logoDrawStart, // Default: top of .current_wrap hits 80% of viewport
       once: true, // Only play once
       onEnter: () => console.log('🎨 Logo draw animation triggered')
     },
@@ -834,8 +1836,25 @@ function initLogoDrawAnimation() {
       });
       console.log('✅ Logo draw animation complete');
     }
+  }));
+
+  // Theme changed: fills captured above belong to the old theme
+  scope.on(document, THEME_CHANGE_EVENT, () => {
+    paths.forEach(path => {
+      path.dataset.originalFill = getThemeFill(path);
+      if (path.style.fill !== 'none') path.style.fill = path.dataset.originalFill;
+    });
   });
-}
+
+  // Reduced motion switched on before the logo was reached: jump to the end
+  scope.on(document, MOTION_CHANGE_EVENT, (e) => {
+    if (!e.detail.reduced || drawTween.progress() === 1) return;
+    if (drawTween.scrollTrigger) drawTween.scrollTrigger.kill();
+    drawTween.progress(1);
+  });
+
+  return scope;
+}
 
 /* ───────────────────────────────────────────────────────────────────────────
    initZigPageLayout() - Random alignment and featured image marking
@@ -927,8 +1946,9 @@ function initRandomizeArtistWorksAlignment() {
    ─────────────────────────────────────────────────────────────────────────── */
 
 function initArtistWorksScrollAnimation() {
+  const scope = createCleanupScope('artist-works-scroll');
   const items = document.querySelectorAll('.artist_works_layout .artist_works_item');
-  if (!items.length) return;
+  if (!items.length) return scope;
 
   console.log('🎬 Setting up scroll animations for', items.length, 'items');
 
@@ -936,9 +1956,9 @@ function initArtistWorksScrollAnimation() {
     console.log('  ➜ Creating ScrollTrigger for item', index + 1);
     
     // Create separate ScrollTrigger
-    const trigger = ScrollTrigger.create({
+    const trigger = scope.trigger(ScrollTrigger.create({
       trigger: item,
-      start: 'top 85%',
+      start: CONFIG.scroll.artistWorksStart,
       once: true,
       markers: false,
       onEnter: () => {
@@ -959,7 +1979,7 @@ function initArtistWorksScrollAnimation() {
         
         console.log('  Animation object:', animation);
       }
-    });
+    }));
     console.log('  ✓ ScrollTrigger created for item', index + 1, trigger);
   });
 
@@ -994,23 +2014,25 @@ function initArtistWorksScrollAnimation() {
   
   if (images.length === 0) {
     // No images, just refresh normally
-    setTimeout(() => ScrollTrigger.refresh(), 100);
+    scope.timeout(() => ScrollTrigger.refresh(), 100);
   } else {
     images.forEach(img => {
       if (img.complete) {
         checkImagesLoaded();
       } else {
-        img.addEventListener('load', checkImagesLoaded);
-        img.addEventListener('error', checkImagesLoaded); // Count errors too
+        scope.on(img, 'load', checkImagesLoaded);
+        scope.on(img, 'error', checkImagesLoaded); // Count errors too
       }
     });
     
     // Fallback: refresh after 2 seconds regardless
-    setTimeout(() => {
+    scope.timeout(() => {
       console.log('⏱️ Timeout reached, forcing ScrollTrigger refresh...');
       ScrollTrigger.refresh();
     }, 2000);
   }
+
+  return scope;
 }
 
 /* ───────────────────────────────────────────────────────────────────────────
@@ -1022,8 +2044,9 @@ function initArtistWorksScrollAnimation() {
    - previous item fades as next item enters
    ─────────────────────────────────────────────────────────────────────────── */
 function initArtistWorksParallaxOverlapAnimation() {
+  const scope = createCleanupScope('artist-works-parallax');
   const items = Array.from(document.querySelectorAll('.artist_works_layout .artist_works_item'));
-  if (!items.length || typeof ScrollTrigger === 'undefined') return;
+  if (!items.length || typeof ScrollTrigger === 'undefined') return scope;
 
   // Ensure legacy alignment classes do not affect full-bleed mode.
   items.forEach((item) => {
@@ -1031,38 +2054,155 @@ function initArtistWorksParallaxOverlapAnimation() {
     gsap.set(item, { opacity: 1 });
   });
 
-  // Clean up prior experimental triggers when Barba re-inits this page.
-  ScrollTrigger.getAll().forEach((trigger) => {
-    const id = trigger.vars && trigger.vars.id;
-    if (typeof id === 'string' && id.startsWith('artist-works-parallax-')) {
-      trigger.kill();
-    }
+  // Scrubbed parallax lives in its own scope so it can be dropped and
+  // rebuilt when the motion policy changes (reduced = static stack)
+  let parallaxScope = null;
+  const targets = [];
+
+  function buildParallax() {
+    parallaxScope = createCleanupScope('artist-works-parallax-scrub');
+    if (isReducedMotion()) return;
+
+    items.forEach((item, index) => {
+      // Keep the final item stable to avoid end-of-list glitches.
+      if (index === items.length - 1) return;
+
+      // Follow the provided pattern: each item controls its own target fade/shift.
+      const target = item.querySelector('.artist_works_img_wrap') || item.querySelector('.artist_works_img');
+      if (!target) return;
+      const nextItem = items[index + 1];
+      targets.push(target);
+
+      const timeline = parallaxScope.tween(gsap.timeline({
+        scrollTrigger: {
+          id: `artist-works-parallax-overlap-${index}`,
+          trigger: item,
+          start: () => item.offsetHeight > window.innerHeight ? 'bottom bottom' : 'top top',
+          endTrigger: nextItem,
+          end: 'top top',
+          scrub: true,
+          invalidateOnRefresh: true
+        }
+      }));
+      timeline.to(target, { y: '55vh', ease: 'none' });
+    });
+  }
+
+  function destroyParallax() {
+    if (parallaxScope) parallaxScope.destroy();
+    parallaxScope = null;
+    if (targets.length) gsap.set(targets, { clearProps: 'transform' });
+    targets.length = 0;
+  }
+
+  buildParallax();
+  ScrollTrigger.refresh();
+
+  scope.on(document, MOTION_CHANGE_EVENT, () => {
+    destroyParallax();
+    buildParallax();
+    ScrollTrigger.refresh();
   });
+  scope.add(() => {
+    if (parallaxScope) parallaxScope.destroy();
+  });
+
+  return scope;
+}
+
+/* ───────────────────────────────────────────────────────────────────────────
+   initArtistWorksLayout() - Runtime-Switchable Artist Works Mode
+   ───────────────────────────────────────────────────────────────────────────
+   Picks one of ARTIST_WORKS_MODES for .artist_works_layout, first match wins:
+   1. ?works=legacy URL override (client demos)
+   2. data-works-mode="legacy" on .artist_works_layout (CMS field per artist)
+   3. CONFIG.works.mode (site-wide default)
+   Each mode brings its own <style data-artist-works-mode> and cleanup scope,
+   so Borto.artistWorks.setMode() tears one mode down and sets up the other
+   without a reload.
+   ─────────────────────────────────────────────────────────────────────────── */
+
+function resolveArtistWorksMode(layout) {
+  const candidates = [
+    new URLSearchParams(window.location.search).get('works'),
+    layout ? layout.getAttribute('data-works-mode') : null,
+    CONFIG.works.mode,
+    BORTO_CONFIG_DEFAULTS.works.mode
+  ];
+
+  for (const candidate of candidates) {
+    const mode = (candidate || '').trim().toLowerCase();
+    if (ARTIST_WORKS_MODES[mode]) return mode;
+    if (mode) console.log('⚠️ Unknown artist works mode:', candidate);
+  }
+  return null;
+}
 
-  items.forEach((item, index) => {
-    // Keep the final item stable to avoid end-of-list glitches.
-    if (index === items.length - 1) return;
+function initArtistWorksLayout() {
+  const scope = createCleanupScope('artist-works-layout');
+  const layout = document.querySelector('.artist_works_layout');
+  if (!layout) return scope;
 
-    // Follow the provided pattern: each item controls its own target fade/shift.
-    const target = item.querySelector('.artist_works_img_wrap') || item.querySelector('.artist_works_img');
-    if (!target) return;
-    const nextItem = items[index + 1];
+  let activeMode = null;
+  let modeHandle = null;
+  let modeStyle = null;
 
-    const timeline = gsap.timeline({
-      scrollTrigger: {
-        id: `artist-works-parallax-overlap-${index}`,
-        trigger: item,
-        start: () => item.offsetHeight > window.innerHeight ? 'bottom bottom' : 'top top',
-        endTrigger: nextItem,
-        end: 'top top',
-        scrub: true,
-        invalidateOnRefresh: true
-      }
+  // Leftover mode CSS from a previous init of this page (Borto.init())
+  document.querySelectorAll('style[data-artist-works-mode]').forEach(style => style.remove());
+
+  function teardownMode() {
+    if (modeHandle) modeHandle.destroy();
+    if (modeStyle) modeStyle.remove();
+    modeHandle = null;
+    modeStyle = null;
+
+    // Drop classes and inline styles the previous mode left on the items
+    layout.querySelectorAll('.artist_works_item').forEach(item => {
+      item.classList.remove('align-left', 'align-center', 'align-right');
     });
-    timeline.to(target, { y: '55vh', ease: 'none' });
+    const animated = layout.querySelectorAll('.artist_works_item, .artist_works_img_wrap, .artist_works_img');
+    if (animated.length) gsap.set(animated, { clearProps: 'opacity,transform' });
+  }
+
+  function setMode(mode) {
+    const next = (mode || '').trim().toLowerCase();
+    if (!ARTIST_WORKS_MODES[next]) {
+      console.log('⚠️ Unknown artist works mode:', mode);
+      return activeMode;
+    }
+    if (next === activeMode) return activeMode;
+
+    if (activeMode) teardownMode();
+
+    // data-page-specific: removed with the rest of the page CSS on navigation
+    modeStyle = document.createElement('style');
+    modeStyle.setAttribute('data-page-specific', 'true');
+    modeStyle.setAttribute('data-artist-works-mode', next);
+    modeStyle.textContent = ARTIST_WORKS_MODES[next].css;
+    document.head.appendChild(modeStyle);
+
+    modeHandle = ARTIST_WORKS_MODES[next].init();
+    activeMode = next;
+    console.log('🖼️ Artist works mode:', activeMode);
+    return activeMode;
+  }
+
+  setMode(resolveArtistWorksMode(layout));
+
+  // Page leave: stop the mode's triggers but keep its CSS while the old
+  // container fades out (injectPageSpecificCSS removes it afterwards)
+  scope.add(() => {
+    if (modeHandle) modeHandle.destroy();
+    modeHandle = null;
   });
 
-  ScrollTrigger.refresh();
+  registerPageController(scope, 'artistWorks', {
+    setMode,
+    getMode: () => activeMode,
+    getModes: () => Object.keys(ARTIST_WORKS_MODES)
+  });
+
+  return scope;
 }
 
 
@@ -1075,49 +2215,44 @@ function initArtistWorksParallaxOverlapAnimation() {
    initBackButton() - Back Navigation Handler
    ─────────────────────────────────────────────────────────────────────────── 
    Uses event delegation to handle back button clicks (nav_back_link, is-back).
-   Persists across Barba transitions.
+   Re-bound by initPageScripts() after every Barba transition.
    ─────────────────────────────────────────────────────────────────────────── */
 
 function initBackButton() {
+  const scope = createCleanupScope('back-button');
+
   // Use event delegation so it works after Barba transitions
-  // Remove old listener first
-  if (window.backButtonHandler) {
-    document.removeEventListener('click', window.backButtonHandler);
-  }
-  
-  window.backButtonHandler = function(e) {
+  scope.on(document, 'click', function(e) {
     // Check if clicked element or its parent is a back button
     const target = e.target.closest('.nav_back_link, .nav_menu_item.is-back');
     if (target) {
       e.preventDefault();
       window.history.back();
     }
-  };
-  
-  document.addEventListener('click', window.backButtonHandler);
+  });
+
+  return scope;
 }
 
 function initHeadroom() {
+  var scope = createCleanupScope('headroom');
+
   if (typeof Headroom === 'undefined') {
     console.log('⚠️ Headroom library not loaded');
-    return;
+    return scope;
   }
   
   var nav = document.getElementById("nav");
   if (!nav) {
     console.log('⚠️ Nav element not found');
-    return;
+    return scope;
   }
   
-  // Check if we're on homepage, exhibitions list, or imprint - if so, skip Headroom
-  var pathname = window.location.pathname;
-  var isHomePage = pathname === '/' || pathname === '';
-  var isOldHomePage = pathname === '/old-home' || pathname === '/old-home/';
-  var isExhibitionsList = pathname === '/exhibitions' || pathname === '/exhibitions/';
-  var isImprintPage = pathname === '/imprint' || pathname === '/imprint/';
+  // Routes with headroom: false (home, exhibitions list, imprint...) skip Headroom
+  var route = resolveRoute(window.location.pathname);
   
-  if (isHomePage || isOldHomePage || isExhibitionsList || isImprintPage) {
-    console.log('⏭️ Skipping Headroom on ' + (isHomePage ? 'homepage' : isOldHomePage ? 'old-home' : isExhibitionsList ? 'exhibitions list' : 'imprint'));
+  if (!route.headroom) {
+    console.log('⏭️ Skipping Headroom on ' + route.namespace);
     // Clean up any existing instance
     if (nav.headroomInstance) {
       try {
@@ -1128,7 +2263,7 @@ function initHeadroom() {
       nav.headroomInstance = null;
       nav.dataset.headroomInit = '0';
     }
-    return;
+    return scope;
   }
   
   // Destroy existing Headroom instance if it exists
@@ -1146,34 +2281,40 @@ function initHeadroom() {
   // Skip if already initialized (but no instance stored)
   if (nav.dataset.headroomInit === '1') {
     console.log('⚠️ Headroom already marked as initialized but no instance found');
-    return;
+    return scope;
   }
   
   console.log('✅ Initializing Headroom...');
 
-    var isExhibitionDetail = pathname.includes('/exhibitions/') && pathname !== '/exhibitions' && pathname !== '/exhibitions/';
-    var isArtistDetail = pathname.includes('/artists/') && pathname !== '/artists' && pathname !== '/artists/';
-    var shouldAutoHide = isExhibitionDetail;
-    
-    var headroomInstance;
-    var settings = {
-      offset: (isExhibitionDetail || isArtistDetail) ? 100 : 120, // Lower offset = more reactive
-      tolerance: (isExhibitionDetail || isArtistDetail) ? { up: 60, down: 20 } : { up: 40, down: 20 }, // up: higher = less sensitive to scroll up
-      classes: {
-        pinned: "nav-pinned",
-        unpinned: "nav-unpinned"
-      }
-      // Auto-hide removed - nav will stay visible when you scroll up
-    };
+  // Offset/tolerance come from the route (lower offset = more reactive,
+  // higher tolerance.up = less sensitive to scroll up)
+  var settings = {
+    offset: route.headroom.offset,
+    tolerance: route.headroom.tolerance,
+    classes: {
+      pinned: "nav-pinned",
+      unpinned: "nav-unpinned"
+    }
+    // Auto-hide removed - nav will stay visible when you scroll up
+  };
 
   var headroomInstance = new Headroom(nav, settings);
   headroomInstance.init();
   nav.headroomInstance = headroomInstance; // Store reference for cleanup
   nav.dataset.headroomInit = '1';
 
-  window.addEventListener('resize', function() {
+  scope.on(window, 'resize', function() {
     if (headroomInstance) headroomInstance.update();
   });
+
+  scope.add(function() {
+    if (nav.headroomInstance !== headroomInstance) return;
+    headroomInstance.destroy();
+    nav.headroomInstance = null;
+    nav.dataset.headroomInit = '0';
+  });
+
+  return scope;
 }
 
 // Note: initHeadroom() is now called from initPageScripts() instead of DOMContentLoaded
@@ -1193,180 +2334,228 @@ function initHeadroom() {
    ─────────────────────────────────────────────────────────────────────────── 
    Called on initial load AND after every Barba transition.
    Detects current page type and initializes appropriate scripts.
+   Every module may return a cleanup handle ({ destroy() }, see
+   createCleanupScope); handles are kept in activePageModules until
+   destroyPageScripts() runs from Barba's leave hook.
    ─────────────────────────────────────────────────────────────────────────── */
 
+let activePageModules = [];
+const PAGE_SETTLED_EVENT = 'borto:pagesettled';
+
+function runPageModule(init) {
+  const handle = init();
+  if (handle && typeof handle.destroy === 'function') {
+    activePageModules.push(handle);
+  }
+  return handle;
+}
+
+function destroyPageScripts() {
+  if (!activePageModules.length) return;
+  console.log('🧹 Destroying', activePageModules.length, 'page modules');
+
+  const modules = activePageModules;
+  activePageModules = [];
+  resetSliderReady(); // The next page gets its own Borto.slider.ready()
+  modules.reverse().forEach(handle => {
+    try {
+      handle.destroy();
+    } catch (e) {
+      console.log('⚠️ Error destroying page module:', e);
+    }
+  });
+}
+
 function initPageScripts() {
   console.log('🔄 Initializing page scripts...');
   
-  const pathname = window.location.pathname;
-  const isArtistPage = pathname.includes('/artists/') && !pathname.endsWith('/artists');
-  const isArtistsList = pathname === '/artists' || pathname === '/artists/';
-  const isExhibitionDetail = pathname.includes('/exhibitions/') && !pathname.endsWith('/exhibitions');
-  const isExhibitionsList = pathname === '/exhibitions' || pathname === '/exhibitions/';
-  const isOldHome = pathname === '/old-home' || pathname === '/old-home/';
-  const isNewsPage = pathname === '/news' || pathname === '/news/';
-  const isHomeBottom = pathname === '/home-bottom' || pathname === '/home-bottom/';
-  const isHomeZig = pathname === '/home-zig' || pathname === '/home-zig/';
-  const isHome = pathname === '/' || pathname === '';
+  // Never stack modules if init runs twice without a Barba leave in between
+  destroyPageScripts();
+  staggerSettled = Promise.resolve();
+  
+  const route = resolveRoute(window.location.pathname);
+  console.log('  Route:', route.namespace);
 
-  if (!isArtistPage) {
-    document.body.classList.remove('artist-content-ready');
-  }
+  // Artist content is revealed again by initArtistDetailScripts() after nav intro
+  document.body.classList.remove('artist-content-ready');
   
   // Global scripts (run on all pages)
-  initBackButton(); // Back navigation
-  initHeadroom();
-  initThemeToggle();
-  initYearFormatter();
-  initCVCleanup();
-  initExhibitionSorting();
-  initNewsHoverThumbnails(); // News items can appear on multiple pages
-  initMeasurementDimensions(); // Normalize x/× separators in dimensions and captions
-  initCaptionToggle(); // Toggle .ap_caption_outer with .caption_trigger click
-  
-  // Page-specific scripts
-  if (isArtistsList || isExhibitionsList || isArtistPage || isNewsPage || isOldHome || isHome || isHomeBottom) {
-    initStaggerAnimation(); // Stagger for exhibitions, artists, news, home, and home-bottom!
-    setTimeout(() => initExhibitionHoverThumbnails(), 300); // Wait for stagger
-  }
-  
-  if (isArtistPage) {
-    // Artist detail should enter only after nav has finished.
-    document.body.classList.remove('artist-content-ready');
-    revealArtistPageContent();
-
-    initSwiper();
-    initCVReadMore();
-    initSortExhibitionsByYear();
-    
-    // Legacy artist works behavior kept for fast rollback/demo:
-    // initRandomizeArtistWorksAlignment();
-    // initArtistWorksScrollAnimation();
-    if (ARTIST_WORKS_EXPERIMENT_MODE === 'parallax-overlap') {
-      initArtistWorksParallaxOverlapAnimation();
-    } else {
-      initRandomizeArtistWorksAlignment();
-      initArtistWorksScrollAnimation();
-    }
+  runPageModule(initBackButton); // Back navigation
+  runPageModule(initHeadroom);
+  runPageModule(initThemeToggle);
+  runPageModule(initThemeAssets); // Before the logo draw captures SVG fills
+  runPageModule(initMotionToggle);
+  runPageModule(initYearFormatter);
+  runPageModule(initCVCleanup);
+  runPageModule(initCVSections); // Needs the cleaned-up CV paragraphs
+  runPageModule(initExhibitionSorting);
+  runPageModule(initListFilters); // [data-filter] controls + search, state in the query
+  runPageModule(initYearGroups); // After sort/filters: groups what they left visible
+  runPageModule(() => initHoverPreviews('news')); // News items can appear on multiple pages
+  runPageModule(() => initHoverPreviews()); // Attribute-configured [data-hover-preview] lists
+  runPageModule(initCaptionMarkup); // Safe caption markup, before × is normalized
+  runPageModule(initMeasurementDimensions); // Normalize x/× separators in dimensions and captions
+  runPageModule(initCaptionToggle); // .caption_trigger disclosures + expand all captions
+  runPageModule(initLinkPrefetch); // Hover/viewport prefetch into Barba's cache
+  
+  // Page-specific scripts (declared per route in ROUTES)
+  route.init.forEach(runPageModule);
+  
+  // Layout is final once the list stagger is done (scroll restore waits for it)
+  staggerSettled.then(() => document.dispatchEvent(new CustomEvent(PAGE_SETTLED_EVENT)));
+  
+  // No slider on this page: Borto.slider.ready() resolves with null
+  if (resolveSliderReady) {
+    resolveSliderReady(null);
+    resolveSliderReady = null;
   }
   
-  if (isExhibitionDetail) {
-    // Fade in exhibition detail page - animate .show_wrap children instead of .page_main
-    // (because .work_list_thumb_wrap has position:fixed and breaks with parent transform)
-    const pageMain = document.querySelector('.page_main');
-    const showWrap = document.querySelector('.show_wrap');
-    
-    // IMMEDIATELY hide work list and press sections to prevent flicker
-    const workListWrap = document.querySelector('.work_list_wrap');
-    const pressWrap = document.querySelector('.press_wrap');
-    if (workListWrap) gsap.set(workListWrap, { opacity: 0 });
-    if (pressWrap) gsap.set(pressWrap, { opacity: 0 });
-    
-    if (pageMain && getComputedStyle(pageMain).opacity === '0') {
-      // Just fade in page_main without transform
-      gsap.to(pageMain, {
-        opacity: 1,
-        duration: 0.3,
-        ease: 'power2.out'
-      });
-    }
-    
-    // Animate show_wrap items with upward movement
-    if (showWrap) {
-      const showItems = showWrap.querySelectorAll('.show_item');
-      if (showItems.length > 0) {
-        const images = showWrap.querySelectorAll('img.show_img');
-        let hasShown = false;
-        
-        const showItems_anim = () => {
-          if (hasShown) return;
-          hasShown = true;
-          gsap.from(showItems, {
-            opacity: 0,
-            y: 50,
-            duration: 1.2,
+  console.log('✅ Page scripts initialized');
+}
+
+/* ───────────────────────────────────────────────────────────────────────────
+   initListReveal() - List Stagger + Hover Thumbnails
+   ─────────────────────────────────────────────────────────────────────────── 
+   Shared entry for list-style pages (exhibitions, artists, news, home pages).
+   Runs the stagger reveal, then wires hover thumbnails once it has settled.
+   ─────────────────────────────────────────────────────────────────────────── */
+
+function initListReveal() {
+  const scope = createCleanupScope('list-reveal');
+  initStaggerAnimation();
+  scope.timeout(() => scope.own(initHoverPreviews('exhibitions')), 300); // Wait for stagger
+  return scope;
+}
+
+/* ───────────────────────────────────────────────────────────────────────────
+   initArtistDetailScripts() - Artist Detail Page
+   ─────────────────────────────────────────────────────────────────────────── 
+   Reveals the works layout, then sets up slider, CV and the works layout
+   mode (initArtistWorksLayout).
+   Called from initPageScripts() once the nav intro has finished.
+   ─────────────────────────────────────────────────────────────────────────── */
+
+function initArtistDetailScripts() {
+  const scope = createCleanupScope('artist-detail');
+
+  // Artist detail should enter only after nav has finished.
+  document.body.classList.remove('artist-content-ready');
+  revealArtistPageContent();
+
+  scope.own(initSwiper());
+  scope.own(initCVReadMore());
+  initSortExhibitionsByYear();
+  scope.own(initArtistWorksLayout());
+
+  return scope;
+}
+
+/* ───────────────────────────────────────────────────────────────────────────
+   initExhibitionDetailIntro() - Exhibition Detail Fade-In
+   ─────────────────────────────────────────────────────────────────────────── 
+   Fades in .page_main, staggers .show_item up, then reveals the work list
+   and press sections. Animates .show_wrap children instead of .page_main
+   because .work_list_thumb_wrap has position:fixed and breaks with parent
+   transform.
+   ─────────────────────────────────────────────────────────────────────────── */
+
+function initExhibitionDetailIntro() {
+  const scope = createCleanupScope('exhibition-detail-intro');
+  const pageMain = document.querySelector('.page_main');
+  const showWrap = document.querySelector('.show_wrap');
+  
+  // IMMEDIATELY hide work list and press sections to prevent flicker
+  const workListWrap = document.querySelector('.work_list_wrap');
+  const pressWrap = document.querySelector('.press_wrap');
+  if (workListWrap) gsap.set(workListWrap, { opacity: 0 });
+  if (pressWrap) gsap.set(pressWrap, { opacity: 0 });
+  
+  if (pageMain && getComputedStyle(pageMain).opacity === '0') {
+    // Just fade in page_main without transform
+    gsap.to(pageMain, {
+      opacity: 1,
+      duration: 0.3,
+      ease: 'power2.out'
+    });
+  }
+  
+  // Animate show_wrap items with upward movement
+  if (!showWrap) return scope;
+  const showItems = showWrap.querySelectorAll('.show_item');
+  if (!showItems.length) return scope;
+
+  const images = showWrap.querySelectorAll('img.show_img');
+  let hasShown = false;
+  
+  const showItems_anim = () => {
+    if (hasShown) return;
+    hasShown = true;
+    const reduced = isReducedMotion(); // Fade only, no rise/stagger
+    gsap.from(showItems, {
+      opacity: 0,
+      y: reduced ? 0 : 50,
+      duration: reduced ? 0.4 : 1.2,
+      delay: 0.2,
+      stagger: reduced ? 0 : 0.05,
+      ease: 'power1.out',
+      onComplete: () => {
+        // After show_wrap animation, fade in work list and press sections
+        if (workListWrap) {
+          gsap.to(workListWrap, {
+            opacity: 1,
+            duration: 0.6,
+            ease: 'power2.out'
+          });
+        }
+        if (pressWrap) {
+          gsap.to(pressWrap, {
+            opacity: 1,
+            duration: 0.6,
             delay: 0.2,
-            stagger: 0.05,
-            ease: 'power1.out',
-            onComplete: () => {
-              // After show_wrap animation, fade in work list and press sections
-              if (workListWrap) {
-                gsap.to(workListWrap, {
-                  opacity: 1,
-                  duration: 0.6,
-                  ease: 'power2.out'
-                });
-              }
-              if (pressWrap) {
-                gsap.to(pressWrap, {
-                  opacity: 1,
-                  duration: 0.6,
-                  delay: 0.2,
-                  ease: 'power2.out'
-                });
-              }
-            }
+            ease: 'power2.out'
           });
-        };
-        
-        // Show after first image loads or timeout
-        if (images.length > 0) {
-          const firstImage = images[0];
-          if (firstImage.complete) {
-            requestAnimationFrame(showItems_anim);
-          } else {
-            firstImage.addEventListener('load', showItems_anim);
-            setTimeout(showItems_anim, 400);
-          }
-        } else {
-          requestAnimationFrame(showItems_anim);
         }
       }
-    }
-    
-    initExhibitionDetailScripts();
-  }
-  
-  if (isOldHome) {
-    initOldHomePageScripts();
-  }
-  
-  if (isHome) {
-    initHomePageScripts(); // Logo first, then image fade-in
-  }
+    });
+  };
   
-  if (isHomeBottom) {
-    // Home image fade-in animation
-    const homeImg = document.querySelector(".home_img");
-    if (homeImg) {
-      gsap.fromTo(".home_img", 
-        { opacity: 0, scale: 1.02 },
-        { opacity: 1, scale: 1, duration: 1.2, ease: "power2.out" }
-      );
+  // Show after first image loads or timeout
+  if (images.length > 0) {
+    const firstImage = images[0];
+    if (firstImage.complete) {
+      requestAnimationFrame(showItems_anim);
+    } else {
+      scope.on(firstImage, 'load', showItems_anim);
+      scope.timeout(showItems_anim, 400);
     }
-    
-    initLogoScrollAnimation(); // Logo animation on scroll for home bottom page
+  } else {
+    requestAnimationFrame(showItems_anim);
   }
-  
-  if (isHomeZig) {
-    // Skip initial page intro animation - use scroll triggers instead
-    
-    initLogoDrawAnimation(); // SVG draw animation on page load
-    initZigPageLayout(); // Random alignment and featured image marking
-    initZigScrollAnimation(); // Individual ScrollTrigger for each item
+
+  return scope;
+}
+
+/* ───────────────────────────────────────────────────────────────────────────
+   initHomeBottomIntro() - Home Bottom Image Fade-In
+   ─────────────────────────────────────────────────────────────────────────── */
+
+function initHomeBottomIntro() {
+  const homeImg = document.querySelector(".home_img");
+  if (homeImg) {
+    gsap.fromTo(".home_img", 
+      { opacity: 0, scale: isReducedMotion() ? 1 : 1.02 },
+      { opacity: 1, scale: 1, duration: 1.2, ease: "power2.out" }
+    );
   }
-  
-  console.log('✅ Page scripts initialized');
 }
 
 function revealArtistPageContent() {
   const wrap = document.querySelector('.artist_works_layout');
   if (!wrap) return;
 
-  const prefersReducedMotion = window.matchMedia && window.matchMedia('(prefers-reduced-motion: reduce)').matches;
   gsap.killTweensOf(wrap);
 
-  if (prefersReducedMotion) {
+  if (isReducedMotion()) {
     gsap.set(wrap, { opacity: 1 });
     document.body.classList.add('artist-content-ready');
     return;
@@ -1383,78 +2572,202 @@ function revealArtistPageContent() {
 
 // Placeholder functions (will be defined or already exist below)
 // initStaggerAnimation() - already defined below (line ~928)
-// initExhibitionHoverThumbnails() - already defined below (line ~1170)
+// initHoverPreviews() - defined in section 5 (hover preview engine)
 
 /* ───────────────────────────────────────────────────────────────────────────
-   initThemeToggle() - Dark/Light Mode Toggle
+   initThemeToggle() - Theme Toggle
    ─────────────────────────────────────────────────────────────────────────── 
-   Manages theme switching between dark and light modes.
-   - Reads theme from localStorage (defaults to "light")
-   - Applies theme to document.documentElement, .page_wrap elements and body
-   - Uses event delegation for #Toggle button
-   - Persists theme choice in localStorage
+   Controls for the theme manager (section 0).
+   - #Toggle flips between light and dark (from whatever is showing)
+   - [data-theme-option="light|dark|system"] sets that preference,
+     aria-pressed on the active one
+   - Ignored on pages with data-force-theme (applyTheme() marks the controls
+     aria-disabled + .is-disabled), so a click can't overwrite the stored
+     preference with a theme the page doesn't show
+   - Uses event delegation for Barba compatibility
+   - setTheme() is also Borto.setTheme
    ─────────────────────────────────────────────────────────────────────────── */
 
 function initThemeToggle() {
-  const pageWrapElements = document.querySelectorAll(".page_wrap");
+  const scope = createCleanupScope('theme-toggle');
+
+  applyTheme();
   
-  function applyTheme(theme) {
-    document.documentElement.setAttribute("data-theme", theme);
-    pageWrapElements.forEach(el => el.setAttribute("data-theme", theme));
-    document.body.setAttribute("data-theme", theme);
+  // Event delegation
+  scope.on(document, 'click', function(e) {
+    const option = e.target.closest('[data-theme-option]');
+    const toggle = e.target.closest('#Toggle');
+    if ((option || toggle) && getForcedTheme()) {
+      console.log('🌓 Theme is fixed on this page (data-force-theme)');
+      return;
+    }
+    if (option) {
+      setTheme(option.getAttribute('data-theme-option'));
+    } else if (toggle) {
+      setTheme(getTheme() === "dark" ? "light" : "dark");
+    }
+  });
+
+  return scope;
+}
+
+/* ───────────────────────────────────────────────────────────────────────────
+   initThemeAssets() - Theme-Aware Images + SVG Fills
+   ─────────────────────────────────────────────────────────────────────────── 
+   Follows the theme manager (THEME_CHANGE_EVENT) for imagery.
+   - img[data-src-dark] (+ optional data-srcset-dark): the alternate is
+     decoded off-screen and swapped in one step; the light source is kept in
+     data-src-light / data-srcset-light. The box keeps the current aspect
+     ratio, so the swap causes no layout shift.
+   - SVG logos (.svg-letter, [data-theme-svg]): hard-coded fills become
+     currentColor so they follow the theme's text colour. data-fill-dark /
+     data-fill-light set an explicit fill per theme (CSS variables allowed),
+     [data-keep-fill] opts a shape out.
+   getThemeFill() is also used by initLogoDrawAnimation() to restore fills.
+   ─────────────────────────────────────────────────────────────────────────── */
+
+const THEME_SVG_SELECTOR = '.svg-letter, [data-theme-svg]';
+const themeImageTokens = new WeakMap();
+
+// Fill for the current theme (style value, so var(--theme--text) works)
+function getThemeFill(el) {
+  return el.getAttribute('data-fill-' + getTheme()) || el.getAttribute('fill') || 'currentColor';
+}
+
+function swapThemeImage(img, theme) {
+  if (!img.hasAttribute('data-src-light')) {
+    img.setAttribute('data-src-light', img.getAttribute('src') || '');
+    if (img.hasAttribute('srcset')) img.setAttribute('data-srcset-light', img.getAttribute('srcset'));
   }
-  
-  const storedTheme = localStorage.getItem("theme") || "light";
-  applyTheme(storedTheme);
-  
-  // Event delegation - remove old listener
-  if (window.themeToggleHandler) {
-    document.removeEventListener('click', window.themeToggleHandler);
+
+  const src = img.getAttribute('data-src-' + theme);
+  const srcset = img.getAttribute('data-srcset-' + theme) || '';
+  if (!src || (img.getAttribute('src') === src && (img.getAttribute('srcset') || '') === srcset)) return;
+
+  // Reserve the current box while the other source loads
+  if (img.naturalWidth && !img.style.aspectRatio) {
+    img.style.aspectRatio = img.naturalWidth + ' / ' + img.naturalHeight;
   }
-  
-  window.themeToggleHandler = function(e) {
-    if (e.target.closest('#Toggle')) {
-      const newTheme = localStorage.getItem("theme") === "dark" ? "light" : "dark";
-      localStorage.setItem("theme", newTheme);
-      applyTheme(newTheme);
+
+  const token = (themeImageTokens.get(img) || 0) + 1;
+  themeImageTokens.set(img, token);
+  const loader = new Image();
+  if (img.sizes) loader.sizes = img.sizes;
+  if (srcset) loader.srcset = srcset;
+  loader.src = src;
+
+  (loader.decode ? loader.decode() : Promise.resolve())
+    .catch(() => {}) // Broken alternate: still swap, like a plain src change
+    .then(() => {
+      if (themeImageTokens.get(img) !== token) return; // Theme changed again
+      if (srcset) {
+        img.setAttribute('srcset', srcset);
+      } else {
+        img.removeAttribute('srcset'); // srcset would win over the new src
+      }
+      img.setAttribute('src', src);
+    });
+}
+
+function applyThemeFills(root) {
+  const shapes = Array.from(root.querySelectorAll('[fill], [data-fill-dark], [data-fill-light]'));
+  if (root.hasAttribute('fill')) shapes.push(root);
+
+  shapes.forEach(el => {
+    if (el.closest('[data-keep-fill]')) return;
+    const fill = el.getAttribute('fill');
+    if (fill && fill !== 'none' && fill !== 'currentColor' && !/^url\(/.test(fill)) {
+      el.setAttribute('data-fill-original', fill);
+      el.setAttribute('fill', 'currentColor');
     }
-  };
-  
-  document.addEventListener('click', window.themeToggleHandler);
+    // The logo draw restores its own fills (data-original-fill)
+    if (el.hasAttribute('data-original-fill')) return;
+    if (el.hasAttribute('data-fill-dark') || el.hasAttribute('data-fill-light')) {
+      el.style.fill = getThemeFill(el);
+    }
+  });
+}
+
+function initThemeAssets() {
+  const scope = createCleanupScope('theme-assets');
+
+  function update() {
+    const theme = getTheme();
+    document.querySelectorAll('img[data-src-dark], img[data-src-light]').forEach(img => swapThemeImage(img, theme));
+    document.querySelectorAll(THEME_SVG_SELECTOR).forEach(applyThemeFills);
+  }
+
+  update();
+  scope.on(document, THEME_CHANGE_EVENT, update);
+
+  return scope;
+}
+
+/* ───────────────────────────────────────────────────────────────────────────
+   initMotionToggle() - Reduced Motion Toggle
+   ─────────────────────────────────────────────────────────────────────────── 
+   #MotionToggle / [data-motion-toggle] flips between reduced and full motion
+   and stores the choice in localStorage ("motion", see section 0.2).
+   aria-pressed="true" while motion is reduced.
+   ─────────────────────────────────────────────────────────────────────────── */
+
+function initMotionToggle() {
+  const scope = createCleanupScope('motion-toggle');
+
+  document.querySelectorAll('#MotionToggle, [data-motion-toggle]').forEach(el => {
+    el.setAttribute('aria-pressed', isReducedMotion() ? 'true' : 'false');
+  });
+
+  scope.on(document, 'click', function(e) {
+    if (e.target.closest('#MotionToggle, [data-motion-toggle]')) {
+      setMotionPreference(isReducedMotion() ? 'full' : 'reduce');
+    }
+  });
+
+  return scope;
 }
 
 /* ───────────────────────────────────────────────────────────────────────────
    initYearFormatter() - Date Formatting & Duplicate Year Hiding
    ─────────────────────────────────────────────────────────────────────────── 
    Formats exhibition dates and hides consecutive duplicate years.
-   - Converts DD.MM.YY dates to YYYY format
-   - Hides consecutive repeating years (desktop only) via opacity: 0
-   - Shows all years on mobile/tablet (<= 1024px)
-   - Handles both .g_exhibition_item .g_date and .cv_entry .g_date
-   - Re-runs on window resize
+   - Converts .g_date text (DD.MM.YY, ISO, ranges... see parseDateValue)
+     to YYYY or YYYY–YYYY
+   - Fills [data-date-range] with the row's range ("12.03.–04.05.2024"),
+     from its own value or the row's data-start-date / data-end-date
+   - Hides consecutive repeating years (desktop only) via opacity: 0,
+     except in year-grouped lists (initYearGroups)
+   - Shows all years on mobile/tablet (<= CONFIG.breakpoints.desktop)
+   - Handles both .g_exhibition_item .g_date and .cv_entry .g_date (CV:
+     ranges compare by start year, restarts per section)
+   - Re-runs on window resize and when a list is sorted/filtered
    ─────────────────────────────────────────────────────────────────────────── */
 
 function initYearFormatter() {
+  const scope = createCleanupScope('year-formatter');
+
   // Year formatting logic - runs on page load
   // Apply immediately (pre-animation) to avoid flicker
-  requestAnimationFrame(function() {
-    const exhibitionDates = document.querySelectorAll('.g_exhibition_item .g_date');
+  const frame = requestAnimationFrame(function() {
     const cvDates = document.querySelectorAll('.cv_entry .g_date');
 
     function updateDateDisplay() {
-      const isTabletOrSmaller = window.innerWidth <= 1024;
+      const isTabletOrSmaller = !isDesktopViewport();
       let previousExhibitionYear = null;
+      // Queried per run: filtering/sorting changes order and visibility
+      const exhibitionDates = document.querySelectorAll('.g_exhibition_item .g_date');
       
       exhibitionDates.forEach(function(dateElement) {
         const dateText = dateElement.textContent.trim();
-        const dateParts = dateText.split('.');
-        let year = dateParts[2];
-
-        if (year && year.length === 2) {
-          year = parseInt(year, 10) < 50 ? '20' + year : '19' + year;
-          dateElement.textContent = year;
-        } else if (!year) {
-          year = dateText;
+        const year = formatDateYear(dateText);
+        if (year !== dateText) dateElement.textContent = year;
+
+        // Items filtered out (display: none) don't count as the previous year
+        if (!dateElement.getClientRects().length) return;
+        // Grouped lists carry the year in their headings (initYearGroups)
+        if (dateElement.closest('.is-year-grouped')) {
+          dateElement.style.opacity = '';
+          return;
         }
 
         if (isTabletOrSmaller) {
@@ -1470,12 +2783,28 @@ function initYearFormatter() {
       });
 
       let previousCVYear = null;
+      let previousCVSection = null;
       cvDates.forEach(function(dateElement) {
-        const year = dateElement.textContent.trim();
+        // Undated placeholders and entries hidden by the section tabs don't count
+        if (dateElement.classList.contains('is-undated') || !dateElement.getClientRects().length) return;
+
+        // Each CV section starts with its year visible
+        const entry = dateElement.closest('[data-cv-section]');
+        const section = entry ? entry.getAttribute('data-cv-section') : null;
+        if (section !== previousCVSection) {
+          previousCVYear = null;
+          previousCVSection = section;
+        }
+
+        // Ranges count by their start year ("2019", "2019–2021" → duplicate);
+        // "c. 1998" / "since 2015" always stay visible
+        const date = matchCVDate(dateElement.textContent);
+        const year = date ? date.year : dateElement.textContent.trim();
+        const isDuplicate = year === previousCVYear && !(date && date.prefix);
         if (isTabletOrSmaller) {
           dateElement.style.opacity = '1';
         } else {
-          if (year === previousCVYear) {
+          if (isDuplicate) {
             dateElement.style.opacity = '0';
           } else {
             dateElement.style.opacity = '1';
@@ -1485,21 +2814,73 @@ function initYearFormatter() {
       });
     }
 
+    document.querySelectorAll('[data-date-range]').forEach(function(rangeElement) {
+      const row = rangeElement.closest('[data-start-date]') || rangeElement.closest('.w-dyn-item');
+      const ownValue = rangeElement.getAttribute('data-date-range').trim();
+      const text = ownValue
+        ? formatDateRange(ownValue)
+        : row && formatDateRange(readListItemValue(row, 'start-date'), readListItemValue(row, 'end-date') || null);
+      if (text) rangeElement.textContent = text;
+    });
+
     updateDateDisplay();
-    window.addEventListener('resize', updateDateDisplay);
+    scope.on(window, 'resize', updateDateDisplay);
+    scope.on(document, LIST_CHANGE_EVENT, updateDateDisplay);
+    scope.on(document, CV_CHANGE_EVENT, updateDateDisplay);
   });
+  scope.add(() => cancelAnimationFrame(frame));
+
+  return scope;
 }
 
 /* ───────────────────────────────────────────────────────────────────────────
-   initCVCleanup() - CV Paragraph Splitting & Year Wrapping
+   initCVCleanup() - CV Paragraph Splitting & Date Column
    ─────────────────────────────────────────────────────────────────────────── 
    Processes CV entries from Sanity CMS block content.
    - Removes all <em> and <i> tags (strips italics)
    - Splits multi-entry paragraphs separated by <br> into individual <p> tags
-   - Wraps years (YYYY) at start of lines with <span class="g_date">
+   - Wraps the leading date in <span class="g_date"> (matchCVDate: years,
+     ranges, "since 2015", "c. 1998"); ranges are written with an en dash
+   - Undated lines get an empty span.g_date.is-undated, so every entry has
+     the same date column (section headings are left alone)
+   - Sizes the column to the longest date (--cv-date-width on .cv_entry)
    - Creates proper paragraph structure for flex layout alignment
    ─────────────────────────────────────────────────────────────────────────── */
 
+function wrapCVDate(entry) {
+  if (entry.querySelector('.g_date') || isCVHeading(entry)) return;
+  const text = entry.textContent;
+  if (!text.trim()) return;
+
+  const date = matchCVDate(text);
+  const span = document.createElement('span');
+  span.className = 'g_date';
+
+  if (date) {
+    span.textContent = date.label;
+    // Drop the leading whitespace + date from the text node(s) it sits in
+    let remaining = text.length - date.rest.length;
+    const walker = document.createTreeWalker(entry, NodeFilter.SHOW_TEXT);
+    const emptied = [];
+    let node = walker.nextNode();
+    while (node && remaining > 0) {
+      const take = Math.min(remaining, node.nodeValue.length);
+      node.nodeValue = node.nodeValue.slice(take);
+      remaining -= take;
+      if (!node.nodeValue && node.parentNode !== entry) emptied.push(node.parentNode);
+      node = walker.nextNode();
+    }
+    // <strong>2019</strong> leaves an empty <strong> behind
+    emptied.forEach(el => {
+      if (!el.textContent && !el.querySelector('img')) el.remove();
+    });
+  } else {
+    span.classList.add('is-undated');
+    span.setAttribute('aria-hidden', 'true');
+  }
+  entry.insertBefore(span, entry.firstChild);
+}
+
 function initCVCleanup() {
   const cvContainer = document.querySelector('.cv_entry');
   if (!cvContainer) return;
@@ -1512,98 +2893,1156 @@ function initCVCleanup() {
     html = html.replace(/<em>/gi, '').replace(/<\/em>/gi, '');
     html = html.replace(/<i>/gi, '').replace(/<\/i>/gi, '');
     
-    if (html.includes('<br>')) {
-      const lines = html.split(/<br\s*\/?>/i).filter(line => line.trim() !== '');
-      if (lines.length > 1) {
-        const fragment = document.createDocumentFragment();
-        lines.forEach(function(line) {
-          const newP = document.createElement('p');
-          newP.className = entry.className;
-          const trimmed = line.trim();
-          if (/^\d{4}/.test(trimmed)) {
-            line = line.replace(/^(\s*)(\d{4})(\s*)/, '$1<span class="g_date">$2</span>$3');
-          }
-          newP.innerHTML = line;
-          fragment.appendChild(newP);
-        });
-        entry.parentNode.replaceChild(fragment, entry);
-      } else {
-        const trimmed = html.trim();
-        if (/^\d{4}/.test(trimmed)) {
-          html = html.replace(/^(\s*)(\d{4})(\s*)/, '$1<span class="g_date">$2</span>$3');
-        }
-        entry.innerHTML = html;
-      }
+    const lines = html.split(/<br\s*\/?>/i).filter(line => line.trim() !== '');
+    if (lines.length > 1) {
+      const fragment = document.createDocumentFragment();
+      lines.forEach(function(line) {
+        const newP = document.createElement('p');
+        newP.className = entry.className;
+        newP.innerHTML = line;
+        wrapCVDate(newP);
+        fragment.appendChild(newP);
+      });
+      entry.parentNode.replaceChild(fragment, entry);
     } else {
-      const tempDiv = document.createElement('div');
-      tempDiv.innerHTML = html;
-      const textContent = tempDiv.textContent || tempDiv.innerText;
-      const trimmed = textContent.trim();
-      if (/^\d{4}/.test(trimmed)) {
-        html = html.replace(/^(\s*)(\d{4})(\s*)/, '$1<span class="g_date">$2</span>$3');
-      }
       entry.innerHTML = html;
+      wrapCVDate(entry);
     }
   });
+
+  // "2019–2021" is wider than the 5ch a single year needs
+  const longest = Array.from(cvContainer.querySelectorAll('.g_date'))
+    .reduce((max, date) => Math.max(max, date.textContent.trim().length), 4);
+  cvContainer.style.setProperty('--cv-date-width', (longest + 1) + 'ch');
 }
 
 /* ───────────────────────────────────────────────────────────────────────────
-   initExhibitionSorting() - Artist/Year Sort Toggle (Exhibition Lists)
+   initCVSections() - Structured CV: Sections, Tabs, JSON + Print Export
    ─────────────────────────────────────────────────────────────────────────── 
-   Enables sorting of exhibition list by artist name or start date.
-   - Toggle buttons: #Artist and #Year
-   - Sorts .g_exhibitions_collection children
-   - Reads data-artist and data-start-date attributes
-   - Toggles between ascending/descending on each click
-   - Uses event delegation for Barba compatibility
+   Models the cleaned-up CV (after initCVCleanup) with parseCV():
+   - Sections from headings (h1-h6, or a paragraph that is only bold text),
+     matched to CV_SECTIONS (solo, group, collections, awards; English and
+     German), other headings become their own section
+   - Entries: date (matchCVDate: year, range, "c.", "since"), title, venue,
+     city ("2021 Title, Venue, City"; the last two comma parts are venue
+     and city)
+   The DOM is annotated (heading id="cv-<section>", data-cv-section on
+   entries) and rendered with:
+   - A tab control (role="tablist", arrow keys) filtering by section, in
+     [data-cv-tabs] or created before .cv_entry when there are 2+ sections.
+     Label of the "All" tab: data-cv-all-label on .cv_entry
+   - [data-cv-export="json"] downloads the model as JSON
+   - [data-cv-export="print"] prints a press-kit layout (.cv_print, Save as
+     PDF in the print dialog)
+   Dispatches CV_CHANGE_EVENT on .cv_entry when the visible section changes.
    ─────────────────────────────────────────────────────────────────────────── */
 
-function initExhibitionSorting() {
-  let sortAscArtist = true;
-  let sortAscStartDate = true;
-
-  function sortItems(attribute, sortAsc) {
-    const container = document.querySelector('.g_exhibitions_collection');
-    if (!container) return;
-    
-    const items = Array.from(container.children);
-    items.sort(function(a, b) {
-      let aVal = a.getAttribute('data-' + attribute);
-      let bVal = b.getAttribute('data-' + attribute);
-      
-      if (attribute === 'start-date') {
-        let aTime = new Date(aVal).getTime();
-        let bTime = new Date(bVal).getTime();
-        if (isNaN(aTime) || isNaN(bTime)) return 0;
-        return sortAsc ? aTime - bTime : bTime - aTime;
-      }
-      return sortAsc ? aVal.localeCompare(bVal) : bVal.localeCompare(aVal);
-    });
-    items.forEach(item => container.appendChild(item));
-  }
+const CV_CHANGE_EVENT = 'borto:cvchange'; // detail: { section }
+const CV_SECTIONS = [
+  { key: 'solo', title: 'Solo Exhibitions', pattern: /solo|einzel/ },
+  { key: 'group', title: 'Group Exhibitions', pattern: /group|gruppen/ },
+  { key: 'collections', title: 'Collections', pattern: /collection|sammlung/ },
+  { key: 'awards', title: 'Awards', pattern: /award|prize|grant|fellowship|residenc|preis|auszeichnung|stipend/ }
+];
 
-  // Event delegation - remove old listener
-  if (window.exhibitionSortHandler) {
-    document.removeEventListener('click', window.exhibitionSortHandler);
-  }
-  
-  window.exhibitionSortHandler = function(e) {
-    const artistBtn = e.target.closest('#Artist');
-    const yearBtn = e.target.closest('#Year');
-    
-    if (artistBtn) {
-      sortItems("artist", sortAscArtist);
-      sortAscArtist = !sortAscArtist;
-    } else if (yearBtn) {
-      sortItems("start-date", sortAscStartDate);
-      sortAscStartDate = !sortAscStartDate;
-    }
-  };
-  
-  document.addEventListener('click', window.exhibitionSortHandler);
+const cvSectionsCss = `
+        .cv_tabs {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 0.25em 1em;
+        }
+        .cv_tab {
+          cursor: pointer;
+        }
+        .cv_tab[aria-selected="true"] {
+          text-decoration: underline;
+        }
+        .cv_print {
+          display: none;
+        }
+        @media print {
+          body.is-printing-cv > :not(.cv_print) {
+            display: none !important;
+          }
+          body.is-printing-cv .cv_print {
+            display: block;
+          }
+          .cv_print table {
+            width: 100%;
+            border-collapse: collapse;
+            margin-bottom: 1.5em;
+          }
+          .cv_print td {
+            padding: 0.15em 0;
+            vertical-align: top;
+          }
+          .cv_print td:first-child {
+            width: 7em;
+            white-space: nowrap;
+          }
+          .cv_print section {
+            break-inside: avoid-page;
+          }
+        }
+`;
+
+// Leading date of a CV line: "2021", "2019–2021", "2019-21", "2019/20",
+// "2015–present", "since 2015", "c. 1998". year is the start year, prefix
+// the "c." / "since" word (approximate / open-ended). Unlike the lists, a
+// two-digit end is always a year ("2011-12" is 2011–2012, not December 2011)
+const CV_DATE_PATTERN = /^\s*((?:(c\.|ca\.|circa|um)\s*|(since|seit|from|ab)\s+)?(\d{4})(?:\s*[–—\/-]\s*(\d{4}|\d{2}|present|today|now|heute|dato)\b\.?)?)(?=[\s,:;.]|$)/i;
+
+function matchCVDate(text) {
+  const source = String(text || '');
+  const match = source.match(CV_DATE_PATTERN);
+  if (!match) return null;
+
+  const endToken = match[5] || '';
+  const numericEnd = /^\d+$/.test(endToken);
+  let year = parseInt(match[4], 10);
+  let yearEnd = null;
+  if (/^\d{4}$/.test(endToken)) {
+    const parsed = parseDateValue(match[4] + '–' + endToken);
+    if (!parsed) return null;
+    year = parsed.start.getFullYear();
+    yearEnd = parsed.end.getFullYear();
+  } else if (numericEnd) {
+    // A CV numeric end is always a range end: "2019-21" → 2021,
+    // "2011-12" → 2012, "1998-02" → 2002
+    yearEnd = Math.floor(year / 100) * 100 + parseInt(endToken, 10);
+    if (yearEnd < year) yearEnd += 100;
+  }
+
+  return {
+    text: match[1],
+    label: match[1].replace(/\s*[–—\/-]\s*/, '–'),
+    rest: source.slice(match[0].length),
+    year,
+    yearEnd,
+    prefix: (match[2] || match[3] || '').toLowerCase(),
+    approximate: !!match[2],
+    openEnded: !!match[3] || (!!endToken && !numericEnd)
+  };
+}
+
+function getCVSection(title) {
+  const normalized = normalizeSearchText(title);
+  const known = CV_SECTIONS.find(section => section.pattern.test(normalized));
+  if (known) return { key: known.key, title: title.trim() || known.title };
+  const key = normalized.replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'other';
+  return { key, title: title.trim() };
+}
+
+function isCVHeading(el) {
+  if (/^H[1-6]$/.test(el.tagName)) return true;
+  const text = el.textContent.trim();
+  if (!text || matchCVDate(text)) return false;
+  const bold = Array.from(el.querySelectorAll('strong, b')).map(node => node.textContent).join('').trim();
+  return bold === text;
+}
+
+// { sections: [{ key, title, heading, entries: [{ year, yearEnd, title, venue, city, text, element }] }] }
+function parseCV(container) {
+  const sections = [];
+  let current = null;
+
+  Array.from(container.children).forEach(el => {
+    if (isCVHeading(el)) {
+      const info = getCVSection(el.textContent);
+      // Same section twice (e.g. split CMS blocks): keep one
+      current = sections.find(section => section.key === info.key) || null;
+      if (!current) {
+        current = { key: info.key, title: info.title, heading: el, entries: [] };
+        sections.push(current);
+      }
+      return;
+    }
+
+    const text = el.textContent.replace(/\s+/g, ' ').trim();
+    if (!text) return;
+    if (!current) {
+      current = { key: 'cv', title: '', heading: null, entries: [] };
+      sections.push(current);
+    }
+
+    const date = matchCVDate(text);
+    const parts = (date ? date.rest : text).replace(/^[\s,:.–—-]+/, '').split(/\s*,\s*/).filter(Boolean);
+    current.entries.push({
+      date: date ? date.label : '',
+      year: date ? date.year : null,
+      yearEnd: date ? date.yearEnd : null,
+      approximate: date ? date.approximate : false,
+      openEnded: date ? date.openEnded : false,
+      title: parts.length > 2 ? parts.slice(0, -2).join(', ') : (parts[0] || ''),
+      venue: parts.length > 1 ? parts[parts.length - (parts.length > 2 ? 2 : 1)] : '',
+      city: parts.length > 2 ? parts[parts.length - 1] : '',
+      text,
+      element: el
+    });
+  });
+
+  return { sections };
+}
+
+function initCVSections() {
+  const scope = createCleanupScope('cv-sections');
+  const cvEntry = document.querySelector('.cv_entry');
+  if (!cvEntry) return scope;
+
+  const cv = parseCV(cvEntry);
+  const entryCount = cv.sections.reduce((sum, section) => sum + section.entries.length, 0);
+  if (!entryCount) return scope;
+
+  const style = document.createElement('style');
+  style.setAttribute('data-cv-sections', '');
+  style.textContent = cvSectionsCss;
+  document.head.appendChild(style);
+  scope.add(() => style.remove());
+
+  if (!cvEntry.id) cvEntry.id = 'cv-entries';
+  cv.sections.forEach(section => {
+    if (section.heading) {
+      if (!section.heading.id) section.heading.id = 'cv-' + section.key;
+      section.heading.setAttribute('data-cv-section', section.key);
+    }
+    section.entries.forEach(entry => {
+      entry.element.setAttribute('data-cv-section', section.key);
+      if (entry.year !== null) entry.element.setAttribute('data-cv-year', entry.year);
+    });
+  });
+
+  const artist = (document.querySelector('h1') || {}).textContent || document.title;
+
+  function toJSON() {
+    return {
+      artist: artist.trim(),
+      url: window.location.href.split('#')[0],
+      generated: new Date().toISOString(),
+      sections: cv.sections.map(section => ({
+        key: section.key,
+        title: section.title,
+        entries: section.entries.map(entry => ({
+          date: entry.date,
+          year: entry.year,
+          yearEnd: entry.yearEnd,
+          approximate: entry.approximate,
+          openEnded: entry.openEnded,
+          title: entry.title,
+          venue: entry.venue,
+          city: entry.city,
+          text: entry.text
+        }))
+      }))
+    };
+  }
+
+  function fileName(extension) {
+    const slug = normalizeSearchText(artist).replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+    return 'cv' + (slug ? '-' + slug : '') + '.' + extension;
+  }
+
+  function downloadJSON() {
+    const blob = new Blob([JSON.stringify(toJSON(), null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName('json');
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  // ─── Print layout ───
+  function buildPrintLayout() {
+    const layout = document.createElement('div');
+    layout.className = 'cv_print';
+    const title = document.createElement('h1');
+    title.textContent = artist.trim();
+    layout.appendChild(title);
+
+    cv.sections.forEach(section => {
+      const block = document.createElement('section');
+      if (section.title) {
+        const heading = document.createElement('h2');
+        heading.textContent = section.title;
+        block.appendChild(heading);
+      }
+      const table = document.createElement('table');
+      section.entries.forEach(entry => {
+        const row = table.insertRow();
+        row.insertCell().textContent = entry.date;
+        const cell = row.insertCell();
+        const strong = document.createElement('strong');
+        strong.textContent = entry.title;
+        cell.appendChild(strong);
+        const details = [entry.venue, entry.city].filter(Boolean).join(', ');
+        if (details) cell.appendChild(document.createTextNode(', ' + details));
+      });
+      block.appendChild(table);
+      layout.appendChild(block);
+    });
+    return layout;
+  }
+
+  let printLayout = null;
+
+  function cleanupPrint() {
+    document.body.classList.remove('is-printing-cv');
+    if (printLayout) printLayout.remove();
+    printLayout = null;
+  }
+
+  function print() {
+    cleanupPrint();
+    printLayout = buildPrintLayout();
+    document.body.appendChild(printLayout);
+    document.body.classList.add('is-printing-cv');
+    // print() doesn't block everywhere (Safari): the layout stays until the
+    // dialog is done
+    window.print();
+  }
+
+  scope.on(window, 'afterprint', cleanupPrint);
+  // Fallback without afterprint: print media stops matching
+  const printQuery = window.matchMedia ? window.matchMedia('print') : null;
+  const onPrintMediaChange = (e) => {
+    if (!e.matches) cleanupPrint();
+  };
+  if (printQuery && printQuery.addEventListener) {
+    scope.on(printQuery, 'change', onPrintMediaChange);
+  } else if (printQuery && printQuery.addListener) {
+    printQuery.addListener(onPrintMediaChange);
+    scope.add(() => printQuery.removeListener(onPrintMediaChange));
+  }
+  scope.add(cleanupPrint);
+
+  // ─── Tabs ───
+  let activeSection = 'all';
+  let tablist = null;
+  let createdTablist = null;
+
+  function showSection(key) {
+    const next = key === 'all' || cv.sections.some(section => section.key === key) ? key : 'all';
+    activeSection = next;
+    Array.from(cvEntry.children).forEach(el => {
+      const section = el.getAttribute('data-cv-section');
+      el.style.display = next === 'all' || !section || section === next ? '' : 'none';
+    });
+    if (tablist) {
+      tablist.querySelectorAll('[role="tab"]').forEach(tab => {
+        const selected = tab.getAttribute('data-cv-tab') === next;
+        tab.setAttribute('aria-selected', selected ? 'true' : 'false');
+        tab.tabIndex = selected ? 0 : -1;
+        tab.classList.toggle('is-active', selected);
+      });
+    }
+    cvEntry.dispatchEvent(new CustomEvent(CV_CHANGE_EVENT, { bubbles: true, detail: { section: next } }));
+  }
+
+  const tabSections = cv.sections.filter(section => section.title);
+  if (tabSections.length > 1) {
+    tablist = document.querySelector('[data-cv-tabs]');
+    if (!tablist) {
+      createdTablist = tablist = document.createElement('div');
+      tablist.className = 'cv_tabs';
+      const anchor = cvEntry.closest('.cv_entry_wrap') || cvEntry;
+      anchor.parentNode.insertBefore(tablist, anchor);
+    }
+    tablist.setAttribute('role', 'tablist');
+
+    [{ key: 'all', title: cvEntry.getAttribute('data-cv-all-label') || 'All' }].concat(tabSections).forEach(section => {
+      const tab = document.createElement('button');
+      tab.type = 'button';
+      tab.className = 'cv_tab';
+      tab.setAttribute('role', 'tab');
+      tab.setAttribute('data-cv-tab', section.key);
+      tab.setAttribute('aria-controls', cvEntry.id);
+      tab.textContent = section.title;
+      tablist.appendChild(tab);
+    });
+
+    scope.on(tablist, 'click', function(e) {
+      const tab = e.target.closest('[data-cv-tab]');
+      if (tab) showSection(tab.getAttribute('data-cv-tab'));
+    });
+
+    scope.on(tablist, 'keydown', function(e) {
+      const tabs = Array.from(tablist.querySelectorAll('[role="tab"]'));
+      const index = tabs.indexOf(document.activeElement);
+      if (index === -1) return;
+      let next = null;
+      if (e.key === 'ArrowRight') next = tabs[(index + 1) % tabs.length];
+      if (e.key === 'ArrowLeft') next = tabs[(index - 1 + tabs.length) % tabs.length];
+      if (e.key === 'Home') next = tabs[0];
+      if (e.key === 'End') next = tabs[tabs.length - 1];
+      if (!next) return;
+      e.preventDefault();
+      next.focus();
+      showSection(next.getAttribute('data-cv-tab'));
+    });
+
+    scope.add(() => {
+      if (createdTablist) {
+        createdTablist.remove();
+      } else {
+        tablist.querySelectorAll('[data-cv-tab]').forEach(tab => tab.remove());
+      }
+    });
+    showSection('all');
+  }
+
+  // Event delegation
+  scope.on(document, 'click', function(e) {
+    const button = e.target.closest('[data-cv-export]');
+    if (!button) return;
+    e.preventDefault();
+    if (button.getAttribute('data-cv-export') === 'print') {
+      print();
+    } else {
+      downloadJSON();
+    }
+  });
+
+  scope.add(() => {
+    Array.from(cvEntry.children).forEach(el => { el.style.display = ''; });
+  });
+
+  registerPageController(scope, 'cvSections', {
+    getData: toJSON,
+    sections: () => cv.sections.map(section => section.key),
+    showSection,
+    getSection: () => activeSection,
+    exportJSON: downloadJSON,
+    print
+  });
+
+  console.log('📄 CV parsed:', cv.sections.length, 'sections,', entryCount, 'entries');
+  return scope;
+}
+
+/* ───────────────────────────────────────────────────────────────────────────
+   List helpers - Shared by sorting and filtering
+   ─────────────────────────────────────────────────────────────────────────── 
+   - getListContainer()        - [data-filter-list] or .g_exhibitions_collection
+   - getListItems()            - Item children (without generated year headings)
+   - readListItemValue()       - data-* value on the item or inside it
+   - replaceQueryParams()      - Write list state to the query (replaceState)
+   - LIST_CHANGE_EVENT         - Dispatched on the list after it was re-ordered
+                                 or filtered (year formatter re-evaluates)
+   ─────────────────────────────────────────────────────────────────────────── */
+
+const LIST_CHANGE_EVENT = 'borto:listchange'; // detail: { list, reason }
+
+function getListContainer() {
+  return document.querySelector('[data-filter-list]') || document.querySelector('.g_exhibitions_collection');
+}
+
+function getListItems(list) {
+  return Array.from(list.children).filter(el => !el.hasAttribute('data-year-heading'));
+}
+
+function readListItemValue(item, key) {
+  const attr = 'data-' + key;
+  if (item.hasAttribute(attr)) return item.getAttribute(attr).trim();
+  const el = item.querySelector('[' + attr + ']');
+  return el ? el.getAttribute(attr).trim() : '';
+}
+
+// { year: ['2023'], q: 'text', sort: null } - null/empty removes the param.
+// replaceState only: a pushed query change would make Barba navigate on popstate.
+function replaceQueryParams(updates) {
+  const params = new URLSearchParams(window.location.search);
+  Object.keys(updates).forEach(key => {
+    params.delete(key);
+    [].concat(updates[key] == null ? [] : updates[key])
+      .filter(value => String(value).trim())
+      .forEach(value => params.append(key, String(value).trim()));
+  });
+
+  const query = params.toString();
+  const url = window.location.pathname + (query ? '?' + query : '') + window.location.hash;
+  if (url === window.location.pathname + window.location.search + window.location.hash) return;
+  // Keep Barba's history state (index/states) on the entry
+  history.replaceState(Object.assign({}, history.state), '', url);
+  // Scroll position of this entry is now stored under the new URL
+  if (currentScrollKey) currentScrollKey = getScrollKey();
+}
+
+/* ───────────────────────────────────────────────────────────────────────────
+   initExhibitionSorting() - Artist/Year Sort Toggle (Exhibition Lists)
+   ─────────────────────────────────────────────────────────────────────────── 
+   Stable multi-key sorting of the list by artist name or start date.
+   - Toggle buttons: #Artist and #Year. Clicking a button makes it the
+     primary key (artist A→Z, year newest first), clicking it again flips
+     the direction. The other key breaks ties, then the original order.
+   - Reads data-artist and data-start-date (item or inside it); unparseable
+     dates always sort last
+   - Active button: .is-active + .is-asc / .is-desc, aria-sort on both
+   - Order is kept in the URL (?sort=-year,artist, "-" = descending) and in
+     sessionStorage per path, so it survives Barba navigation and reloads
+   - Re-order animates with FLIP (CONFIG.sort), instant with reduced motion
+   - Uses event delegation for Barba compatibility
+   ─────────────────────────────────────────────────────────────────────────── */
+
+const SORT_STORAGE_KEY = 'borto:sort';
+const SORT_PARAM = 'sort';
+const SORT_KEYS = {
+  artist: { attribute: 'artist', button: '#Artist', defaultDir: 'asc' },
+  year: { attribute: 'start-date', button: '#Year', defaultDir: 'desc' }
+};
+
+// '-year,artist' ⇄ [{ key: 'year', dir: 'desc' }, { key: 'artist', dir: 'asc' }]
+function parseSortOrder(value) {
+  const order = [];
+  String(value || '').split(',').forEach(part => {
+    const key = part.trim().replace(/^[-+]/, '');
+    if (!SORT_KEYS[key] || order.some(entry => entry.key === key)) return;
+    order.push({ key, dir: part.trim().charAt(0) === '-' ? 'desc' : 'asc' });
+  });
+  return order;
+}
+
+function serializeSortOrder(order) {
+  return order.map(entry => (entry.dir === 'desc' ? '-' : '') + entry.key).join(',');
+}
+
+function readStoredSortOrders() {
+  try {
+    return JSON.parse(sessionStorage.getItem(SORT_STORAGE_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+function initExhibitionSorting() {
+  const scope = createCleanupScope('exhibition-sorting');
+  const container = getListContainer();
+  if (!container) return scope;
+
+  const pathname = window.location.pathname;
+  const collator = new Intl.Collator(undefined, { sensitivity: 'base', numeric: true });
+  // CMS position is the final tie-breaker (stable across re-sorts). Kept on
+  // the item so a re-init (Borto.init()) on an already sorted list keeps it.
+  getListItems(container).forEach((item, index) => {
+    if (!item.hasAttribute('data-sort-index')) item.setAttribute('data-sort-index', index);
+  });
+  const originalIndex = item => {
+    const index = parseInt(item.getAttribute('data-sort-index'), 10);
+    return isNaN(index) ? Infinity : index;
+  };
+  let order = [];
+  let flipTween = null;
+
+  function compareValues(key, a, b, dir) {
+    const sign = dir === 'desc' ? -1 : 1;
+    if (key === 'year') {
+      const aTime = getDateTime(a);
+      const bTime = getDateTime(b);
+      if (isNaN(aTime) || isNaN(bTime)) return isNaN(aTime) - isNaN(bTime); // Undated last
+      return sign * (aTime - bTime);
+    }
+    if (!a || !b) return !a - !b; // Empty last
+    return sign * collator.compare(a, b);
+  }
+
+  function persist() {
+    const value = serializeSortOrder(order);
+    const stored = readStoredSortOrders();
+    delete stored[pathname];
+    if (value) stored[pathname] = value;
+    try {
+      sessionStorage.setItem(SORT_STORAGE_KEY, JSON.stringify(stored));
+    } catch (e) {
+      // Storage unavailable (private mode): URL still carries the order
+    }
+    replaceQueryParams({ [SORT_PARAM]: value || null });
+  }
+
+  function syncButtons() {
+    Object.keys(SORT_KEYS).forEach(key => {
+      const primary = order[0] && order[0].key === key ? order[0] : null;
+      document.querySelectorAll(SORT_KEYS[key].button).forEach(btn => {
+        btn.classList.toggle('is-active', !!primary);
+        btn.classList.toggle('is-asc', !!primary && primary.dir === 'asc');
+        btn.classList.toggle('is-desc', !!primary && primary.dir === 'desc');
+        btn.setAttribute('aria-sort', primary ? (primary.dir === 'asc' ? 'ascending' : 'descending') : 'none');
+      });
+    });
+  }
+
+  function sortItems(animate) {
+    const items = getListItems(container);
+    const keys = order.concat(
+      Object.keys(SORT_KEYS)
+        .filter(key => !order.some(entry => entry.key === key))
+        .map(key => ({ key, dir: SORT_KEYS[key].defaultDir }))
+    );
+    const values = new Map(items.map(item => [item, keys.map(entry => readListItemValue(item, SORT_KEYS[entry.key].attribute))]));
+
+    const sorted = items.slice().sort((a, b) => {
+      if (order.length) {
+        for (let i = 0; i < keys.length; i++) {
+          const result = compareValues(keys[i].key, values.get(a)[i], values.get(b)[i], keys[i].dir);
+          if (result) return result;
+        }
+      }
+      return originalIndex(a) - originalIndex(b);
+    });
+    if (sorted.every((item, index) => item === items[index])) return;
+
+    // FLIP: First (positions before re-order)
+    const flip = animate && !isReducedMotion();
+    if (flipTween) flipTween.progress(1).kill();
+    const visible = sorted.filter(item => item.getClientRects().length);
+    const first = flip ? new Map(visible.map(item => [item, item.getBoundingClientRect()])) : null;
+
+    sorted.forEach(item => container.appendChild(item));
+    container.dispatchEvent(new CustomEvent(LIST_CHANGE_EVENT, { bubbles: true, detail: { list: container, reason: 'sort' } }));
+
+    if (flip) {
+      // Last + Invert, then Play back to the new positions
+      const moved = visible.filter(item => {
+        const last = item.getBoundingClientRect();
+        const before = first.get(item);
+        const x = before.left - last.left;
+        const y = before.top - last.top;
+        if (!x && !y) return false;
+        gsap.set(item, { x, y });
+        return true;
+      });
+      if (moved.length) {
+        flipTween = scope.tween(gsap.to(moved, {
+          x: 0,
+          y: 0,
+          duration: CONFIG.sort.duration,
+          ease: CONFIG.sort.ease,
+          stagger: CONFIG.stagger.each,
+          clearProps: 'transform'
+        }));
+      }
+    }
+    if (typeof ScrollTrigger !== 'undefined') ScrollTrigger.refresh();
+  }
+
+  function setOrder(nextOrder, animate) {
+    order = parseSortOrder(typeof nextOrder === 'string' ? nextOrder : serializeSortOrder(nextOrder || []));
+    syncButtons();
+    persist();
+    sortItems(animate);
+  }
+
+  function toggleKey(key) {
+    const primary = order[0];
+    const dir = primary && primary.key === key
+      ? (primary.dir === 'asc' ? 'desc' : 'asc')
+      : SORT_KEYS[key].defaultDir;
+    setOrder([{ key, dir }].concat(order.filter(entry => entry.key !== key)), true);
+  }
+
+  // Event delegation
+  scope.on(document, 'click', function(e) {
+    const key = Object.keys(SORT_KEYS).find(name => e.target.closest(SORT_KEYS[name].button));
+    if (key) toggleKey(key);
+  });
+
+  // Shared URL first, then the order chosen earlier in this session
+  const initial = new URLSearchParams(window.location.search).get(SORT_PARAM) || readStoredSortOrders()[pathname] || '';
+  order = parseSortOrder(initial);
+  syncButtons();
+  if (order.length) {
+    persist();
+    sortItems(false);
+  }
+
+  registerPageController(scope, 'sorting', {
+    set: value => setOrder(value, true),
+    get: () => serializeSortOrder(order),
+    reset: () => setOrder([], true)
+  });
+
+  return scope;
+}
+
+/* ───────────────────────────────────────────────────────────────────────────
+   initListFilters() - Filter + Search for Exhibition/Artist Lists
+   ─────────────────────────────────────────────────────────────────────────── 
+   Client-side filtering of the list items (.g_exhibitions_collection, or a
+   [data-filter-list] element) by year, artist, status and venue, plus a
+   free-text search.
+   - Item values come from data-year, data-artist, data-status, data-venue
+     on the item or any element inside it. Year falls back to
+     data-start-date; status (current | upcoming | past) is derived from
+     data-start-date / data-end-date when not set.
+   - Controls: [data-filter="year"] buttons with data-filter-value (empty
+     value = all), or <select data-filter="..."> (options are filled from
+     the items when it has none), input[data-filter-search],
+     [data-filter-clear]. Optional [data-filter-count], [data-filter-empty].
+   - Values of one key are OR-ed, keys are AND-ed; search is
+     accent-insensitive and every word has to match.
+   - Matches animate out/in with the CONFIG.stagger of initStaggerAnimation()
+   - State is written to the query (?year=2023&status=current&q=...) with
+     replaceState: a pushed query change would make Barba navigate on
+     popstate. Shared URLs restore the filters on entry.
+   ─────────────────────────────────────────────────────────────────────────── */
+
+const LIST_FILTER_KEYS = ['year', 'artist', 'status', 'venue'];
+const LIST_FILTER_SEARCH_PARAM = 'q';
+function initListFilters() {
+  const scope = createCleanupScope('list-filters');
+  const list = getListContainer();
+  const controls = document.querySelectorAll('[data-filter], [data-filter-search], [data-filter-clear]');
+  if (!list || !controls.length) return scope;
+
+  const state = { q: '' };
+  LIST_FILTER_KEYS.forEach(key => { state[key] = []; });
+  let timeline = null;
+  let searchTimer = null;
+
+  function deriveStatus(start, end) {
+    const today = new Date();
+    today.setHours(0, 0, 0, 0);
+    const startDate = parseDateValue(start);
+    // No end date: a start range ("12.03.–04.05.2024") still has one
+    const endDate = parseDateValue(end) || (startDate && startDate.range ? startDate : null);
+    if (startDate && startDate.start > today) return 'upcoming';
+    if (endDate) return endDate.end < today ? 'past' : 'current';
+    return startDate ? 'past' : '';
+  }
+
+  const entries = getListItems(list).map(item => {
+    const start = readListItemValue(item, 'start-date');
+    const end = readListItemValue(item, 'end-date');
+    const startYear = getDateYear(start);
+    const values = {
+      year: readListItemValue(item, 'year') || (startYear === null ? '' : String(startYear)),
+      artist: readListItemValue(item, 'artist'),
+      status: readListItemValue(item, 'status').toLowerCase() || deriveStatus(start, end),
+      venue: readListItemValue(item, 'venue')
+    };
+    const normalized = {};
+    LIST_FILTER_KEYS.forEach(key => { normalized[key] = normalizeSearchText(values[key]); });
+    return {
+      item,
+      inner: item.querySelector(CONFIG.selectors.exhibitionItem) || item,
+      values,
+      normalized,
+      text: normalizeSearchText(item.textContent + ' ' + values.artist + ' ' + values.venue)
+    };
+  });
+
+  function matches(entry) {
+    const keysMatch = LIST_FILTER_KEYS.every(key =>
+      !state[key].length || state[key].some(value => normalizeSearchText(value) === entry.normalized[key])
+    );
+    if (!keysMatch) return false;
+    const words = normalizeSearchText(state.q).split(' ').filter(Boolean);
+    return words.every(word => entry.text.includes(word));
+  }
+
+  // ─── URL (query) ───
+  function readStateFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    LIST_FILTER_KEYS.forEach(key => { state[key] = params.getAll(key).filter(Boolean); });
+    state.q = params.get(LIST_FILTER_SEARCH_PARAM) || '';
+  }
+
+  function writeStateToUrl() {
+    const updates = { [LIST_FILTER_SEARCH_PARAM]: state.q };
+    LIST_FILTER_KEYS.forEach(key => { updates[key] = state[key]; });
+    replaceQueryParams(updates);
+  }
+
+  // ─── Controls ───
+  function populateSelect(select, key) {
+    if (select.options.length > 1) return;
+    const values = Array.from(new Set(entries.map(entry => entry.values[key]).filter(Boolean)));
+    values.sort((a, b) => (key === 'year' ? b.localeCompare(a) : a.localeCompare(b)));
+    if (!select.options.length) select.add(new Option(select.getAttribute('data-filter-placeholder') || 'All', ''));
+    values.forEach(value => select.add(new Option(value, value)));
+  }
+
+  function syncControls() {
+    document.querySelectorAll('[data-filter]').forEach(control => {
+      const key = control.getAttribute('data-filter');
+      if (!state[key]) return;
+      if (control.tagName === 'SELECT') {
+        control.value = state[key][0] || '';
+        return;
+      }
+      const value = control.getAttribute('data-filter-value') || '';
+      const active = value
+        ? state[key].some(active => normalizeSearchText(active) === normalizeSearchText(value))
+        : !state[key].length;
+      control.classList.toggle('is-active', active);
+      control.setAttribute('aria-pressed', active ? 'true' : 'false');
+    });
+    document.querySelectorAll('[data-filter-search]').forEach(input => {
+      if (input.value !== state.q) input.value = state.q;
+    });
+  }
+
+  function updateStatus(visibleCount) {
+    document.querySelectorAll('[data-filter-count]').forEach(el => { el.textContent = visibleCount; });
+    document.querySelectorAll('[data-filter-empty]').forEach(el => { el.style.display = visibleCount ? 'none' : ''; });
+  }
+
+  const entryByItem = new Map(entries.map(entry => [entry.item, entry]));
+
+  // ─── Apply ───
+  function apply(animate) {
+    // Finish a running transition so display states are final before diffing
+    if (timeline) timeline.progress(1).kill();
+
+    const toShow = [];
+    const toHide = [];
+    let visibleCount = 0;
+    // Current DOM order (sorting may have re-ordered the list) drives the stagger
+    getListItems(list).map(item => entryByItem.get(item)).filter(Boolean).forEach(entry => {
+      const isHidden = entry.item.style.display === 'none';
+      const match = matches(entry);
+      if (match) visibleCount++;
+      if (match && isHidden) toShow.push(entry);
+      if (!match && !isHidden) toHide.push(entry);
+    });
+
+    syncControls();
+    updateStatus(visibleCount);
+    if (!toShow.length && !toHide.length) return;
+
+    function swapDisplay() {
+      toHide.forEach(entry => { entry.item.style.display = 'none'; });
+      toShow.forEach(entry => { entry.item.style.display = ''; });
+      list.dispatchEvent(new CustomEvent(LIST_CHANGE_EVENT, { bubbles: true, detail: { list, reason: 'filter' } }));
+      if (typeof ScrollTrigger !== 'undefined') ScrollTrigger.refresh();
+    }
+
+    if (!animate || isReducedMotion()) {
+      swapDisplay();
+      if (toShow.length) gsap.set(toShow.map(entry => entry.inner), { opacity: 1, y: 0 });
+      return;
+    }
+
+    // Same stagger as initStaggerAnimation(): out, then in
+    const staggerVars = {
+      stagger: CONFIG.stagger.each,
+      duration: CONFIG.stagger.duration,
+      ease: CONFIG.stagger.ease
+    };
+    timeline = gsap.timeline();
+    if (toHide.length) {
+      timeline.to(toHide.map(entry => entry.inner), Object.assign({ opacity: 0, y: 20 }, staggerVars));
+    }
+    timeline.add(swapDisplay);
+    if (toShow.length) {
+      timeline.fromTo(toShow.map(entry => entry.inner), { opacity: 0, y: 20 }, Object.assign({ opacity: 1, y: 0 }, staggerVars));
+    }
+    scope.tween(timeline);
+  }
+
+  function update() {
+    writeStateToUrl();
+    apply(true);
+  }
+
+  function setFilter(key, values) {
+    if (!state[key]) return;
+    state[key] = [].concat(values || []).map(value => String(value).trim()).filter(Boolean);
+    update();
+  }
+
+  function toggleFilter(key, value) {
+    if (!state[key]) return;
+    if (!value) {
+      state[key] = [];
+    } else {
+      const normalized = normalizeSearchText(value);
+      const active = state[key].some(current => normalizeSearchText(current) === normalized);
+      state[key] = active
+        ? state[key].filter(current => normalizeSearchText(current) !== normalized)
+        : state[key].concat(value);
+    }
+    update();
+  }
+
+  function search(text) {
+    state.q = String(text || '');
+    update();
+  }
+
+  function clear() {
+    LIST_FILTER_KEYS.forEach(key => { state[key] = []; });
+    state.q = '';
+    update();
+  }
+
+  document.querySelectorAll('select[data-filter]').forEach(select => {
+    const key = select.getAttribute('data-filter');
+    if (state[key]) populateSelect(select, key);
+  });
+
+  // Event delegation
+  scope.on(document, 'click', function(e) {
+    const clearBtn = e.target.closest('[data-filter-clear]');
+    const button = e.target.closest('[data-filter]');
+    if (clearBtn) {
+      e.preventDefault();
+      clear();
+    } else if (button && button.tagName !== 'SELECT' && state[button.getAttribute('data-filter')]) {
+      e.preventDefault();
+      toggleFilter(button.getAttribute('data-filter'), button.getAttribute('data-filter-value') || '');
+    }
+  });
+
+  scope.on(document, 'change', function(e) {
+    const select = e.target.closest('select[data-filter]');
+    if (select) setFilter(select.getAttribute('data-filter'), select.value);
+  });
+
+  scope.on(document, 'input', function(e) {
+    const input = e.target.closest('[data-filter-search]');
+    if (!input) return;
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => search(input.value), 150);
+  });
+  scope.add(() => clearTimeout(searchTimer));
+
+  // Enter in a search form must not submit (Webflow wraps inputs in forms)
+  scope.on(document, 'submit', function(e) {
+    if (e.target.querySelector && e.target.querySelector('[data-filter-search]')) e.preventDefault();
+  });
+
+  // Shared URL: filter before the list reveal, no out/in animation
+  readStateFromUrl();
+  apply(false);
+
+  registerPageController(scope, 'filters', {
+    set: setFilter,
+    toggle: toggleFilter,
+    search,
+    clear,
+    getState: () => JSON.parse(JSON.stringify(state))
+  });
+
+  console.log('🔎 List filters initialized (' + entries.length + ' items)');
+  return scope;
 }
 
 
+/* ───────────────────────────────────────────────────────────────────────────
+   initYearGroups() - Sticky Year Headings + Jump Bar (Exhibition Lists)
+   ─────────────────────────────────────────────────────────────────────────── 
+   Groups the list items under generated year headings.
+   - Year per item: data-year, else data-start-date, else .g_date text
+     (parseDateValue); items without one go under "Undated"
+     (data-undated-label on the list)
+   - Headings are role="listitem" rows (.g_year_group > h2.g_year_heading)
+     so the Webflow role="list" stays valid; they stick while scrolling
+     (top: var(--year-heading-top, 0))
+   - Replaces the desktop duplicate-year hiding for grouped lists: row years
+     are hidden on desktop and aria-hidden, the heading carries the year
+   - Rebuilt on LIST_CHANGE_EVENT (sort, filter), hidden items don't count
+   - Only in year order (CMS order or a #Year sort) and only when every year
+     forms one run: otherwise (#Artist sort...) the headings and jump bar
+     are removed and the rows show their years again. One heading per year,
+     so the year-YYYY ids stay unique
+   - Jump bar: filled into [data-year-index], or created before the list
+     (nav.g_year_index); the link of the year in view gets .is-active
+   - On routes with yearGroups (the exhibitions list); other lists, e.g.
+     on artist detail pages, stay ungrouped. data-year-groups on a list
+     groups it on any page, data-year-groups="false" keeps it ungrouped
+   ─────────────────────────────────────────────────────────────────────────── */
+
+const yearGroupsCss = () => `
+        .g_year_group {
+          position: sticky;
+          top: var(--year-heading-top, 0);
+          z-index: 2;
+          background-color: var(--theme--background, Canvas);
+        }
+        .g_year_heading {
+          margin: 0;
+          font: inherit;
+        }
+        .g_year_index {
+          display: flex;
+          flex-wrap: wrap;
+          gap: 0.25em 1em;
+        }
+        .g_year_index_link.is-active {
+          text-decoration: underline;
+        }
+        @media (min-width: ${CONFIG.breakpoints.desktop + 1}px) {
+          .is-year-grouped .g_exhibition_item .g_date {
+            opacity: 0;
+          }
+        }
+`;
+
+function initYearGroups() {
+  const scope = createCleanupScope('year-groups');
+  const list = getListContainer();
+  if (!list) return scope;
+  const groupsAttr = list.getAttribute('data-year-groups');
+  const enabled = groupsAttr === null ? resolveRoute(window.location.pathname).yearGroups : groupsAttr !== 'false';
+  if (!enabled) return scope;
+
+  const undatedLabel = list.getAttribute('data-undated-label') || 'Undated';
+  const years = new Map(getListItems(list).map(item => {
+    const dateElement = item.querySelector('.g_date');
+    const year = getDateYear(readListItemValue(item, 'year'))
+      || getDateYear(readListItemValue(item, 'start-date'))
+      || getDateYear(dateElement ? dateElement.textContent : '');
+    return [item, year];
+  }));
+  if (!Array.from(years.values()).some(year => year !== null)) return scope;
+
+  const style = document.createElement('style');
+  style.setAttribute('data-year-groups', '');
+  style.textContent = yearGroupsCss();
+  document.head.appendChild(style);
+  list.classList.add('is-year-grouped');
+
+  let index = document.querySelector('[data-year-index]');
+  let createdIndex = null;
+  if (!index) {
+    createdIndex = index = document.createElement('nav');
+    index.className = 'g_year_index';
+    index.setAttribute('aria-label', list.getAttribute('data-year-index-label') || 'Years');
+    list.parentNode.insertBefore(index, list);
+  }
+
+  let headings = [];
+  let frame = null;
+
+  function groupId(year) {
+    return 'year-' + (year === null ? 'undated' : year);
+  }
+
+  // Visible items in runs of one year, or null when a year comes back after
+  // another one (list not in year order)
+  function getYearRuns() {
+    const sorting = getPageController('sorting');
+    const primary = sorting ? parseSortOrder(sorting.get())[0] : null;
+    if (primary && primary.key !== 'year') return null;
+
+    const runs = [];
+    const seen = new Set();
+    for (const item of getListItems(list)) {
+      if (item.style.display === 'none') continue;
+      const year = years.has(item) ? years.get(item) : null;
+      if (runs.length && runs[runs.length - 1].year === year) continue;
+      if (seen.has(year)) return null;
+      seen.add(year);
+      runs.push({ year, item });
+    }
+    return runs;
+  }
+
+  function rebuild() {
+    list.querySelectorAll(':scope > [data-year-heading]').forEach(el => el.remove());
+    headings = [];
+
+    const runs = getYearRuns();
+    list.classList.toggle('is-year-grouped', !!runs);
+    if (createdIndex) createdIndex.hidden = !runs;
+    getListItems(list).forEach(item => {
+      const dateElement = item.querySelector('.g_date');
+      if (!dateElement) return;
+      if (runs) {
+        dateElement.setAttribute('aria-hidden', 'true');
+      } else {
+        dateElement.removeAttribute('aria-hidden');
+      }
+    });
+
+    (runs || []).forEach(({ year, item }) => {
+      const group = document.createElement('div');
+      group.className = 'g_year_group';
+      group.setAttribute('role', 'listitem');
+      group.setAttribute('data-year-heading', year === null ? '' : year);
+      group.id = groupId(year);
+      const heading = document.createElement('h2');
+      heading.className = 'g_year_heading';
+      heading.tabIndex = -1;
+      heading.textContent = year === null ? undatedLabel : year;
+      group.appendChild(heading);
+      list.insertBefore(group, item);
+      headings.push({ year, group, heading });
+    });
+
+    index.innerHTML = '';
+    headings.forEach(entry => {
+      const link = document.createElement('a');
+      link.className = 'g_year_index_link';
+      link.href = '#' + entry.group.id;
+      link.setAttribute('data-year-jump', entry.group.id);
+      link.textContent = entry.heading.textContent;
+      index.appendChild(link);
+    });
+    updateActive();
+  }
+
+  // Year whose heading has reached the sticky position
+  function updateActive() {
+    frame = null;
+    let active = headings[0];
+    headings.forEach(entry => {
+      if (entry.group.getBoundingClientRect().top <= parseFloat(getComputedStyle(entry.group).top || 0) + 1) active = entry;
+    });
+    index.querySelectorAll('[data-year-jump]').forEach(link => {
+      const isActive = !!active && link.getAttribute('data-year-jump') === active.group.id;
+      link.classList.toggle('is-active', isActive);
+      if (isActive) {
+        link.setAttribute('aria-current', 'true');
+      } else {
+        link.removeAttribute('aria-current');
+      }
+    });
+  }
+
+  function jumpTo(id) {
+    const entry = headings.find(heading => heading.group.id === id);
+    if (!entry) return;
+    // Sticky groups report their stuck position, measure from the row below
+    const target = entry.group.nextElementSibling || entry.group;
+    const top = target.getBoundingClientRect().top + window.scrollY - entry.group.offsetHeight
+      - (parseFloat(getComputedStyle(entry.group).top) || 0);
+    window.scrollTo({ top: Math.max(0, top), behavior: isReducedMotion() ? 'auto' : 'smooth' });
+    entry.heading.focus({ preventScroll: true });
+  }
+
+  // Event delegation (no hash in the URL: Barba treats #links as same-page)
+  scope.on(document, 'click', function(e) {
+    const link = e.target.closest('[data-year-jump]');
+    if (!link) return;
+    e.preventDefault();
+    jumpTo(link.getAttribute('data-year-jump'));
+  });
+
+  scope.on(list, LIST_CHANGE_EVENT, rebuild);
+  scope.on(window, 'scroll', function() {
+    if (!frame) frame = requestAnimationFrame(updateActive);
+  }, { passive: true });
+
+  rebuild();
+
+  scope.add(() => {
+    if (frame) cancelAnimationFrame(frame);
+    list.querySelectorAll(':scope > [data-year-heading]').forEach(el => el.remove());
+    list.classList.remove('is-year-grouped');
+    if (createdIndex) {
+      createdIndex.remove();
+    } else {
+      index.innerHTML = '';
+    }
+    style.remove();
+  });
+
+  console.log('📅 Year groups built:', headings.length);
+  return scope;
+}
+
 /* ═══════════════════════════════════════════════════════════════════════════
    5. PAGE-SPECIFIC SCRIPTS
    ═══════════════════════════════════════════════════════════════════════════
@@ -1622,47 +4061,322 @@ function initExhibitionSorting() {
    Runs immediately after page transition.
    ─────────────────────────────────────────────────────────────────────────── */
 
+// Resolves when the current page's list reveal has finished
+let staggerSettled = Promise.resolve();
+
 function initStaggerAnimation() {
-  const exhibitionItems = document.querySelectorAll('.g_exhibition_item_inner');
-  const newsItems = document.querySelectorAll('.news_item_wrap');
+  const exhibitionItems = document.querySelectorAll(CONFIG.selectors.exhibitionItem);
+  const newsItems = document.querySelectorAll(CONFIG.selectors.newsItem);
+  const tweens = [];
+  
+  // Reduced motion: show everything in place, no fade-up
+  if (isReducedMotion()) {
+    if (exhibitionItems.length) document.body.classList.add('animations-ready');
+    if (exhibitionItems.length) gsap.set(exhibitionItems, { opacity: 1, y: 0 });
+    if (newsItems.length) gsap.set(newsItems, { opacity: 1, y: 0 });
+    return;
+  }
   
   if (exhibitionItems.length) {
     document.body.classList.add('animations-ready');
-    gsap.to('.g_exhibition_item_inner', {
+    tweens.push(gsap.to(exhibitionItems, {
       opacity: 1,
       y: 0,
-      stagger: 0.02, // Fast stagger
-      duration: 0.2, // Quick duration
-      ease: 'power1.out' // Snappy ease
-    });
+      stagger: CONFIG.stagger.each, // Fast stagger
+      duration: CONFIG.stagger.duration, // Quick duration
+      ease: CONFIG.stagger.ease // Snappy ease
+    }));
   }
   
   if (newsItems.length) {
-    gsap.to('.news_item_wrap', {
+    tweens.push(gsap.to(newsItems, {
       opacity: 1,
       y: 0,
-      stagger: 0.02, // Fast stagger (same as exhibitions)
-      duration: 0.2, // Quick duration (same as exhibitions)
-      ease: 'power1.out' // Snappy ease (same as exhibitions)
-    });
+      stagger: CONFIG.stagger.each, // Fast stagger (same as exhibitions)
+      duration: CONFIG.stagger.duration, // Quick duration (same as exhibitions)
+      ease: CONFIG.stagger.ease // Snappy ease (same as exhibitions)
+    }));
+  }
+  
+  staggerSettled = Promise.all(tweens.map(tween => tween.then()));
+}
+
+/* ───────────────────────────────────────────────────────────────────────────
+   initSwiper() - Artist Detail Image Slider
+   ─────────────────────────────────────────────────────────────────────────── 
+   One fade Swiper in .slider-gallery_component: prev/next buttons, left/right
+   click halves, zero-padded counter and the image alt as caption (caption
+   markup, see parseCaption; the alt itself is rewritten to plain text).
+   - Readiness: builds as soon as the slides are in the DOM (MutationObserver
+     on the gallery if a script adds them before window load), Swiper is
+     loaded and the first slide's image has decoded - no fixed delays.
+     Later images update the auto-sized slides as they load. Then SLIDER_READY_EVENT fires on
+     the gallery and Borto.slider.ready() resolves with the instance (null
+     when the page has no slider or was left first)
+   - Torn down with its scope on Barba leave (Swiper, listeners, observer)
+   - Deep link: the active slide is kept in the URL (?slide=4, 1-based,
+     replaceState) and restored on load and Barba entry
+   - Thumbnails: [data-slider-thumbs] inside the gallery. Its children are
+     used as thumbs in slide order; when empty, buttons are built from the
+     slide images. The active thumb gets .is-active + aria-current
+   - Fullscreen: [data-slider-fullscreen] button (created when missing).
+     Uses the Fullscreen API on the gallery, else a fixed overlay; the
+     caption is moved into the gallery while fullscreen so it stays visible.
+     Zoom in fullscreen: pinch / drag on touch, double-click on desktop
+     (up to CONFIG.slider.zoomMax)
+   ─────────────────────────────────────────────────────────────────────────── */
+
+const SLIDER_PARAM = 'slide';
+const SLIDER_READY_EVENT = 'borto:sliderready'; // on the gallery, detail: { swiper }
+const SLIDER_SELECTOR = '.slider-gallery_component .swiper.is-slider-bg .swiper-slide.is-slider-bg';
+
+// Resolves with the current page's Swiper once it is ready (see initSwiper).
+// Created per page (first load, then on Barba leave) so callers can wait
+// before the artist scripts run after the nav intro.
+let sliderReady = null;
+let resolveSliderReady = null;
+
+function resetSliderReady() {
+  if (resolveSliderReady) resolveSliderReady(null);
+  sliderReady = new Promise(resolve => { resolveSliderReady = resolve; });
+}
+
+resetSliderReady();
+
+const sliderCss = () => `
+        .slider_thumbs {
+          display: flex;
+          gap: 0.5rem;
+          overflow-x: auto;
+          scrollbar-width: none;
+        }
+        .slider_thumb {
+          flex: none;
+          width: 4rem;
+          padding: 0;
+          border: 0;
+          background: none;
+          opacity: 0.4;
+          cursor: pointer;
+          transition: opacity 0.2s;
+        }
+        .slider_thumb.is-active,
+        .slider_thumb:hover {
+          opacity: 1;
+        }
+        .slider_thumb img {
+          display: block;
+          width: 100%;
+          aspect-ratio: 1;
+          object-fit: cover;
+        }
+        .slider-gallery_component.is-fullscreen {
+          position: fixed;
+          inset: 0;
+          z-index: 1000;
+          display: flex;
+          flex-direction: column;
+          background-color: var(--theme--background, Canvas);
+        }
+        .slider-gallery_component.is-fullscreen .swiper.is-slider-bg {
+          flex: 1;
+          width: 100%;
+          min-height: 0;
+        }
+        .slider-gallery_component.is-fullscreen .swiper_img {
+          object-fit: contain;
+          touch-action: none;
+          transform-origin: 50% 50%;
+        }
+        .slider-gallery_component.is-fullscreen .slider_caption {
+          padding: 1rem;
+        }
+`;
+
+// Pinch / drag / double-click zoom for the active slide image
+function createSliderZoom(gallery, getImage, onZoomChange) {
+  const scope = createCleanupScope('slider-zoom');
+  const pointers = new Map();
+  let state = { scale: 1, x: 0, y: 0 };
+  let pinch = null;
+  let image = null;
+  let enabled = false;
+
+  function clamp(next) {
+    const scale = Math.min(Math.max(next.scale, 1), CONFIG.slider.zoomMax);
+    const rect = image ? image.getBoundingClientRect() : null;
+    // Rect is scaled: the unscaled size is rect / current scale
+    const maxX = rect ? (rect.width / state.scale) * (scale - 1) / 2 : 0;
+    const maxY = rect ? (rect.height / state.scale) * (scale - 1) / 2 : 0;
+    return {
+      scale,
+      x: Math.min(Math.max(next.x, -maxX), maxX),
+      y: Math.min(Math.max(next.y, -maxY), maxY)
+    };
+  }
+
+  function set(next, animate) {
+    if (!image) return;
+    state = clamp(next);
+    const props = { scale: state.scale, x: state.x, y: state.y };
+    if (animate && !isReducedMotion()) {
+      scope.tween(gsap.to(image, Object.assign(props, { duration: 0.3, ease: 'power2.out', overwrite: true })));
+    } else {
+      gsap.set(image, props);
+    }
+    onZoomChange(state.scale > 1);
+  }
+
+  function reset() {
+    if (image) gsap.set(image, { clearProps: 'transform' });
+    state = { scale: 1, x: 0, y: 0 };
+    pinch = null;
+    pointers.clear();
+    image = null;
+    onZoomChange(false);
+  }
+
+  function distance() {
+    const [a, b] = Array.from(pointers.values());
+    return Math.hypot(a.x - b.x, a.y - b.y);
   }
+
+  scope.on(gallery, 'pointerdown', (e) => {
+    if (!enabled || !e.target.closest('.swiper_img')) return;
+    if (!image) image = getImage();
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+    if (pointers.size === 2) pinch = { distance: distance(), scale: state.scale };
+  });
+
+  scope.on(gallery, 'pointermove', (e) => {
+    const last = pointers.get(e.pointerId);
+    if (!enabled || !last) return;
+    const dx = e.clientX - last.x;
+    const dy = e.clientY - last.y;
+    pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+    if (pinch && pointers.size === 2) {
+      set({ scale: pinch.scale * distance() / pinch.distance, x: state.x, y: state.y });
+    } else if (pointers.size === 1 && state.scale > 1) {
+      // Pan the zoomed image (Swiper is locked while zoomed)
+      set({ scale: state.scale, x: state.x + dx, y: state.y + dy });
+    }
+  });
+
+  const release = (e) => {
+    pointers.delete(e.pointerId);
+    if (pointers.size < 2) pinch = null;
+    if (!pointers.size && state.scale <= 1.02) set({ scale: 1, x: 0, y: 0 }, true);
+  };
+  scope.on(gallery, 'pointerup', release);
+  scope.on(gallery, 'pointercancel', release);
+
+  scope.on(gallery, 'dblclick', (e) => {
+    if (!enabled || !e.target.closest('.swiper_img')) return;
+    image = getImage();
+    if (!image) return;
+    if (state.scale > 1) {
+      set({ scale: 1, x: 0, y: 0 }, true);
+      return;
+    }
+    // Zoom towards the clicked point
+    const rect = image.getBoundingClientRect();
+    const scale = CONFIG.slider.zoomMax;
+    set({
+      scale,
+      x: (rect.left + rect.width / 2 - e.clientX) * (scale - 1),
+      y: (rect.top + rect.height / 2 - e.clientY) * (scale - 1)
+    }, true);
+  });
+
+  scope.add(reset);
+
+  return {
+    enable() { enabled = true; },
+    disable() { enabled = false; reset(); },
+    reset,
+    isZoomed: () => state.scale > 1,
+    destroy: () => scope.destroy()
+  };
+}
+
+function readSlideParam(total) {
+  const value = parseInt(new URLSearchParams(window.location.search).get(SLIDER_PARAM), 10);
+  return value >= 1 && value <= total ? value - 1 : 0;
+}
+
+// Image decoded (or failed): safe to measure its slide
+function whenImageReady(img) {
+  if (!img) return Promise.resolve();
+  img.loading = 'eager'; // A lazy image outside the viewport would never load
+  if (img.complete && img.naturalWidth) return img.decode ? img.decode().catch(() => {}) : Promise.resolve();
+  return new Promise(resolve => {
+    img.addEventListener('load', resolve, { once: true });
+    img.addEventListener('error', resolve, { once: true });
+  }).then(() => (img.decode ? img.decode().catch(() => {}) : undefined));
 }
 
 function initSwiper() {
-  // Exit early if not on artist page
-  const pathname = window.location.pathname;
-  if (!pathname.includes('/artists/') || pathname === '/artists' || pathname === '/artists/') {
-    console.log('Not on artist detail page, skipping Swiper');
-    return;
+  const scope = createCleanupScope('swiper');
+  let destroyed = false;
+  // Claim this page's ready promise (initPageScripts resolves unclaimed ones)
+  const resolveReady = resolveSliderReady || (() => {});
+  resolveSliderReady = null;
+  scope.add(() => {
+    destroyed = true;
+    resolveReady(null); // Left before the slider was ready
+  });
+
+  // true once the gallery has slides: now, or when a script adds them
+  // before window load. No gallery on the page: false right away
+  function whenSlidesReady() {
+    const gallery = document.querySelector('.slider-gallery_component');
+    if (!gallery) return Promise.resolve(false);
+    if (document.querySelector(SLIDER_SELECTOR)) return Promise.resolve(true);
+    if (document.readyState === 'complete') return Promise.resolve(false);
+    return new Promise(resolve => {
+      const observer = new MutationObserver(() => {
+        if (!document.querySelector(SLIDER_SELECTOR)) return;
+        observer.disconnect();
+        resolve(true);
+      });
+      observer.observe(gallery, { childList: true, subtree: true });
+      scope.add(() => observer.disconnect());
+      scope.on(window, 'load', () => {
+        observer.disconnect();
+        resolve(!!document.querySelector(SLIDER_SELECTOR));
+      }, { once: true });
+    });
   }
-  
-  if (typeof Swiper === 'undefined') {
-    console.log('Swiper not available');
-    return;
+
+  // Swiper loaded with defer/async: available by window load at the latest
+  function whenSwiperLoaded() {
+    if (typeof Swiper !== 'undefined' || document.readyState === 'complete') return Promise.resolve();
+    return new Promise(resolve => scope.on(window, 'load', resolve, { once: true }));
   }
-  
-  // Use longer delay to ensure DOM and Swiper are fully ready
-  setTimeout(function() {
+
+  Promise.all([whenSlidesReady(), whenSwiperLoaded()])
+    .then(([hasSlides]) => {
+      if (destroyed || !hasSlides) return null;
+      if (typeof Swiper === 'undefined') {
+        console.log('Swiper not available');
+        return null;
+      }
+      const gallery = document.querySelector(SLIDER_SELECTOR).closest('.slider-gallery_component');
+      const slides = gallery.querySelectorAll('.swiper-slide.is-slider-bg');
+      const first = slides[readSlideParam(slides.length)];
+      return whenImageReady(first ? first.querySelector('.swiper_img') : null).then(() => gallery);
+    })
+    .then(gallery => {
+      if (destroyed) return;
+      resolveReady(gallery ? buildSlider(gallery) : null);
+    })
+    .catch(e => {
+      console.log('⚠️ Slider init failed:', e);
+      resolveReady(null);
+    });
+
+  function buildSlider(sliderGallery) {
     function numberWithZero(num) {
       return num < 10 ? "0" + num : num;
     }
@@ -1671,34 +4385,10 @@ function initSwiper() {
     const sliderCaption = document.querySelector('.slider_caption');
     const swiperNumberCurrent = document.querySelector('.swiper-number-current');
     const swiperNumberTotal = document.querySelector('.swiper-number-total');
-    const sliderGallery = document.querySelector('.slider-gallery_component');
-    const swiperElement = sliderGallery ? sliderGallery.querySelector('.swiper.is-slider-bg') : null;
-
-    console.log('Looking for slider elements:', {
-      gallery: sliderGallery ? 'found' : 'not found',
-      swiper: swiperElement ? 'found' : 'not found',
-      caption: sliderCaption ? 'found' : 'not found',
-      numberCurrent: swiperNumberCurrent ? 'found' : 'not found',
-      numberTotal: swiperNumberTotal ? 'found' : 'not found',
-      existingInstance: swiperElement && swiperElement.swiper ? 'yes' : 'no'
-    });
+    const swiperElement = sliderGallery.querySelector('.swiper.is-slider-bg');
 
-    if (!sliderGallery || !swiperElement) {
-      console.log('Slider gallery or swiper element not found');
-      return;
-    }
-    
     // CRITICAL: Completely destroy and cleanup existing Swiper instances
-    if (window.artistSwiper) {
-      console.log('Destroying existing global Swiper instance');
-      try {
-        window.artistSwiper.destroy(true, true);
-        delete window.artistSwiper;
-      } catch (e) {
-        console.error('Error destroying global Swiper:', e);
-      }
-    }
-    
+    // (the previous page's instance is destroyed with its scope on Barba leave)
     if (swiperElement.swiper) {
       console.log('Destroying existing element Swiper instance');
       try {
@@ -1709,177 +4399,459 @@ function initSwiper() {
       }
     }
 
-    // Calculate total slides
-    const totalSlides = swiperElement.querySelectorAll('.swiper-slide.is-slider-bg').length;
+    // Calculate total slides (before Swiper adds loop duplicates)
+    const slideElements = Array.from(swiperElement.querySelectorAll('.swiper-slide.is-slider-bg'));
+    const totalSlides = slideElements.length;
     if (swiperNumberTotal) {
       swiperNumberTotal.textContent = numberWithZero(totalSlides);
     }
 
-    console.log('Creating new Swiper instance');
-    
-    // Store in window to prevent duplicates across Barba transitions
-    const bgSwiper = window.artistSwiper = new Swiper(swiperElement, {
-      slidesPerView: "auto",
-      speed: 400,
-      effect: "fade",
-      allowTouchMove: true,
-      loop: true,
-      loopedSlides: 3,
-      centeredSlides: true,
-      preventClicks: false,
-      preventClicksPropagation: false,
-      slideActiveClass: "is-active",
-      slideDuplicateActiveClass: "is-active",
-      mousewheel: {
-        forceToAxis: true,
-      },
-      keyboard: {
-        enabled: true,
-        onlyInViewport: true,
-      },
-      navigation: {
-        nextEl: sliderGallery.querySelector('.swiper-next'),
-        prevEl: sliderGallery.querySelector('.swiper-prev')
+    // Caption markup lives in data-caption, the alt stays plain text
+    slideElements.forEach(slide => {
+      const img = slide.querySelector('.swiper_img');
+      if (!img || img.hasAttribute('data-caption')) return;
+      const alt = img.getAttribute('alt') || '';
+      img.setAttribute('data-caption', alt);
+      img.setAttribute('alt', getCaptionText(alt));
+    });
+
+    const style = document.createElement('style');
+    style.setAttribute('data-slider', '');
+    style.textContent = sliderCss();
+    document.head.appendChild(style);
+    scope.add(() => style.remove());
+
+    console.log('Creating new Swiper instance');
+    
+    const bgSwiper = new Swiper(swiperElement, {
+      slidesPerView: "auto",
+      speed: 400,
+      effect: "fade",
+      allowTouchMove: true,
+      loop: true,
+      loopedSlides: 3,
+      centeredSlides: true,
+      initialSlide: readSlideParam(totalSlides),
+      preventClicks: false,
+      preventClicksPropagation: false,
+      slideActiveClass: "is-active",
+      slideDuplicateActiveClass: "is-active",
+      mousewheel: {
+        forceToAxis: true,
+      },
+      keyboard: {
+        enabled: true,
+        onlyInViewport: true,
+      },
+      navigation: {
+        nextEl: sliderGallery.querySelector('.swiper-next'),
+        prevEl: sliderGallery.querySelector('.swiper-prev')
+      }
+      // Autoplay removed - was causing errors
+    });
+
+    scope.add(function() {
+      if (!bgSwiper.destroyed) bgSwiper.destroy(true, true);
+    });
+
+    // Auto-sized slides: re-measure as the other images come in
+    let updateFrame = null;
+    slideElements.forEach(slide => {
+      const img = slide.querySelector('.swiper_img');
+      if (!img || (img.complete && img.naturalWidth)) return;
+      scope.on(img, 'load', () => {
+        if (updateFrame) return;
+        updateFrame = requestAnimationFrame(() => {
+          updateFrame = null;
+          if (!bgSwiper.destroyed) bgSwiper.update();
+        });
+      }, { once: true });
+    });
+    scope.add(() => cancelAnimationFrame(updateFrame));
+
+    // Thumbnails strip (optional)
+    const thumbsWrap = sliderGallery.querySelector('[data-slider-thumbs]');
+    let thumbs = [];
+    if (thumbsWrap) {
+      if (!thumbsWrap.children.length) {
+        thumbsWrap.classList.add('slider_thumbs');
+        slideElements.forEach((slide, index) => {
+          const source = slide.querySelector('.swiper_img');
+          const thumb = document.createElement('button');
+          thumb.type = 'button';
+          thumb.className = 'slider_thumb';
+          thumb.setAttribute('data-slider-thumb-generated', '');
+          thumb.setAttribute('aria-label', 'Image ' + (index + 1) + ' of ' + totalSlides);
+          if (source) {
+            const img = document.createElement('img');
+            img.src = source.currentSrc || source.getAttribute('src') || '';
+            img.alt = '';
+            img.loading = 'lazy';
+            thumb.appendChild(img);
+          }
+          thumbsWrap.appendChild(thumb);
+        });
+        scope.add(() => {
+          thumbsWrap.querySelectorAll('[data-slider-thumb-generated]').forEach(el => el.remove());
+          thumbsWrap.classList.remove('slider_thumbs');
+        });
+      }
+      thumbs = Array.from(thumbsWrap.children).slice(0, totalSlides);
+      scope.on(thumbsWrap, 'click', (e) => {
+        const index = thumbs.findIndex(thumb => thumb.contains(e.target));
+        if (index === -1) return;
+        e.preventDefault();
+        bgSwiper.slideToLoop(index);
+      });
+    }
+
+    function syncThumbs() {
+      thumbs.forEach((thumb, index) => {
+        const active = index === bgSwiper.realIndex;
+        thumb.classList.toggle('is-active', active);
+        if (active) {
+          thumb.setAttribute('aria-current', 'true');
+          // Keep the active thumb in view without scrolling the page
+          const left = thumb.offsetLeft - (thumbsWrap.clientWidth - thumb.offsetWidth) / 2;
+          if (thumbsWrap.scrollTo) thumbsWrap.scrollTo({ left, behavior: isReducedMotion() ? 'auto' : 'smooth' });
+        } else {
+          thumb.removeAttribute('aria-current');
+        }
+      });
+    }
+
+    // Fullscreen + zoom
+    const fullscreenApi = !!(sliderGallery.requestFullscreen || sliderGallery.webkitRequestFullscreen);
+    let fullscreenButton = sliderGallery.querySelector('[data-slider-fullscreen]');
+    if (!fullscreenButton) {
+      fullscreenButton = document.createElement('button');
+      fullscreenButton.type = 'button';
+      fullscreenButton.className = 'slider_fullscreen_btn';
+      fullscreenButton.setAttribute('data-slider-fullscreen', '');
+      sliderGallery.appendChild(fullscreenButton);
+      scope.add(() => fullscreenButton.remove());
+    }
+
+    const zoom = scope.own(createSliderZoom(
+      sliderGallery,
+      () => {
+        const slide = bgSwiper.slides[bgSwiper.activeIndex];
+        return slide ? slide.querySelector('.swiper_img') : null;
+      },
+      (zoomed) => {
+        // Swiping would fight panning the zoomed image
+        bgSwiper.allowTouchMove = !zoomed;
+      }
+    ));
+
+    let isFullscreen = false;
+    let captionPlaceholder = null;
+
+    function getFullscreenElement() {
+      return document.fullscreenElement || document.webkitFullscreenElement || null;
+    }
+
+    function setFullscreenState(active) {
+      if (active === isFullscreen) return;
+      isFullscreen = active;
+      sliderGallery.classList.toggle('is-fullscreen', active);
+      fullscreenButton.setAttribute('aria-pressed', String(active));
+      fullscreenButton.textContent = active ? CONFIG.slider.exitFullscreen : CONFIG.slider.fullscreen;
+
+      // The caption lives outside the gallery: bring it along
+      if (active && sliderCaption && !sliderGallery.contains(sliderCaption)) {
+        captionPlaceholder = document.createComment('slider-caption');
+        sliderCaption.parentNode.insertBefore(captionPlaceholder, sliderCaption);
+        sliderGallery.appendChild(sliderCaption);
+      } else if (!active && captionPlaceholder) {
+        captionPlaceholder.parentNode.replaceChild(sliderCaption, captionPlaceholder);
+        captionPlaceholder = null;
+      }
+
+      if (active) {
+        zoom.enable();
+      } else {
+        zoom.disable();
+      }
+      bgSwiper.update();
+    }
+
+    function enterFullscreen() {
+      if (isFullscreen) return;
+      setFullscreenState(true);
+      if (!fullscreenApi) return; // Fixed overlay only (e.g. iPhone Safari)
+      const request = sliderGallery.requestFullscreen
+        ? sliderGallery.requestFullscreen()
+        : sliderGallery.webkitRequestFullscreen();
+      if (request && request.catch) request.catch(() => {}); // Overlay stays
+    }
+
+    function exitFullscreen() {
+      if (!isFullscreen) return;
+      if (getFullscreenElement() === sliderGallery) {
+        const exit = document.exitFullscreen ? document.exitFullscreen() : document.webkitExitFullscreen();
+        if (exit && exit.catch) exit.catch(() => {});
+      }
+      setFullscreenState(false);
+    }
+
+    fullscreenButton.setAttribute('aria-pressed', 'false');
+    fullscreenButton.textContent = CONFIG.slider.fullscreen;
+    scope.on(fullscreenButton, 'click', (e) => {
+      e.preventDefault();
+      e.stopPropagation(); // Not a click on the slider halves
+      if (isFullscreen) {
+        exitFullscreen();
+      } else {
+        enterFullscreen();
       }
-      // Autoplay removed - was causing errors
+    });
+
+    // Browser UI / Escape left the Fullscreen API
+    const onFullscreenChange = () => {
+      if (isFullscreen && getFullscreenElement() !== sliderGallery && fullscreenApi) setFullscreenState(false);
+    };
+    scope.on(document, 'fullscreenchange', onFullscreenChange);
+    scope.on(document, 'webkitfullscreenchange', onFullscreenChange);
+
+    // Escape for the overlay fallback (the Fullscreen API handles its own)
+    scope.on(document, 'keydown', (e) => {
+      if (e.key === 'Escape' && isFullscreen && !getFullscreenElement()) exitFullscreen();
+    });
+
+    scope.add(() => {
+      if (isFullscreen) exitFullscreen();
+    });
+
+    // Exposed as Borto.slider
+    registerPageController(scope, 'slider', {
+      instance: bgSwiper,
+      goTo: (index) => bgSwiper.slideToLoop(index),
+      next: () => bgSwiper.slideNext(),
+      prev: () => bgSwiper.slidePrev(),
+      getIndex: () => bgSwiper.realIndex,
+      fullscreen: (active) => (active === false ? exitFullscreen() : enterFullscreen())
     });
 
     function updateCaption() {
       const activeSlide = bgSwiper.slides[bgSwiper.realIndex];
       const imgElement = activeSlide ? activeSlide.querySelector('.swiper_img') : null;
-      const imgAltText = imgElement ? imgElement.getAttribute("alt") : '';
-      
-      if (sliderCaption && imgAltText) {
-        // Replace [text] with italic spans
-        const formattedCaption = imgAltText.replace(/\[(.*?)\]/g, '<span class="g-italic">$1</span>');
-        sliderCaption.innerHTML = formattedCaption;
-      } else if (sliderCaption) {
-        sliderCaption.textContent = '';
+      const source = imgElement ? imgElement.getAttribute('data-caption') || '' : '';
+      if (sliderCaption) renderCaption(sliderCaption, source);
+    }
+
+    // Counter, caption, thumbs and ?slide= for the active slide
+    function syncSlide() {
+      if (swiperNumberCurrent) {
+        swiperNumberCurrent.textContent = numberWithZero(bgSwiper.realIndex + 1);
       }
+      updateCaption();
+      syncThumbs();
+      replaceQueryParams({ [SLIDER_PARAM]: bgSwiper.realIndex > 0 ? bgSwiper.realIndex + 1 : null });
     }
 
-    // Wait a moment before attaching event handlers to ensure Swiper is fully ready
-    setTimeout(function() {
-      // Click handler for navigation
-      const swiperClickArea = sliderGallery.querySelector('.swiper.is-slider-bg');
-      if (swiperClickArea) {
-        swiperClickArea.onclick = function(e) {
-          const rect = this.getBoundingClientRect();
-          const clickX = e.clientX - rect.left;
-          const containerWidth = rect.width;
-          
-          if (clickX < containerWidth / 2) {
-            bgSwiper.slidePrev();
-          } else {
-            bgSwiper.slideNext();
-          }
-        };
+    // Click halves for navigation
+    scope.on(swiperElement, 'click', function(e) {
+      // Fullscreen: clicks belong to zoom (double-click) and panning
+      if (isFullscreen || e.target.closest('a, button')) return;
+
+      const rect = swiperElement.getBoundingClientRect();
+      const clickX = e.clientX - rect.left;
+      const containerWidth = rect.width;
+      
+      if (clickX < containerWidth / 2) {
+        bgSwiper.slidePrev();
+      } else {
+        bgSwiper.slideNext();
       }
+    });
 
-      bgSwiper.on("slideChange", function () {
-        const slideNumber = numberWithZero(bgSwiper.realIndex + 1);
-        if (swiperNumberCurrent) {
-          swiperNumberCurrent.textContent = slideNumber;
-        }
-        updateCaption();
-      });
+    bgSwiper.on("slideChange", function () {
+      zoom.reset();
+      syncSlide();
+    });
 
-      updateCaption();
-      console.log('✅ Swiper fully initialized and ready for interaction');
-    }, 100);
-    
-    console.log('✅ Swiper instance created with', totalSlides, 'slides');
-  }, 500); // Longer delay for Swiper to be fully ready
+    syncSlide();
+    sliderGallery.dispatchEvent(new CustomEvent(SLIDER_READY_EVENT, {
+      bubbles: true,
+      detail: { swiper: bgSwiper }
+    }));
+    console.log('✅ Swiper ready with', totalSlides, 'slides');
+    return bgSwiper;
+  }
+
+  return scope;
 }
 
 /* ───────────────────────────────────────────────────────────────────────────
    initCVReadMore() - CV Expand/Collapse Toggle (Artist Detail)
    ─────────────────────────────────────────────────────────────────────────── 
    Expands/collapses CV content with Read More/Less button.
-   - Toggles .cv_entry_wrap maxHeight between 50vh and full height
+   - Collapsed height: the .cv_entry_wrap max-height from CSS, snapped up
+     to the end of the last whole entry (a section heading never ends the
+     collapsed view)
    - Shows/hides .cv_fade element (gradient overlay)
-   - Updates button text between "Read More" and "Read Less"
-   - Uses event delegation on .cv_read_cta
+   - Labels: data-label-more / data-label-less on .cv_read_cta, else
+     CONFIG.cv.readMore / readLess (data-borto-cv-read-more="Mehr lesen")
+   - Re-measures on resize, font load and CV tab changes; the CTA and fade
+     disappear when the CV no longer overflows
+   - #cv-* URLs (e.g. #cv-awards) expand the CV and scroll to the target
+   - .cv_read_cta is a disclosure trigger (createDisclosure): aria-expanded,
+     aria-controls, Enter/Space
    ─────────────────────────────────────────────────────────────────────────── */
 
 function initCVReadMore() {
+  const scope = createCleanupScope('cv-read-more');
   const cvEntryWrap = document.querySelector('.cv_entry_wrap');
   const cvEntry = document.querySelector('.cv_entry');
   const cvFade = document.querySelector('.cv_fade');
   const readCTAEl = document.querySelector('.cv_read_cta');
-  
-  // Event delegation - remove old listener
-  if (window.cvReadMoreHandler) {
-    document.removeEventListener('click', window.cvReadMoreHandler);
-  }
 
-  if (!cvEntryWrap || !cvEntry || !cvFade) return;
+  if (!cvEntryWrap || !cvEntry || !cvFade) return scope;
 
-  const computedMaxHeight = getComputedStyle(cvEntryWrap).maxHeight;
-  const collapsedMaxHeight = computedMaxHeight && computedMaxHeight !== 'none'
-    ? computedMaxHeight
-    : '70vh';
+  const labels = {
+    more: (readCTAEl && readCTAEl.getAttribute('data-label-more')) || CONFIG.cv.readMore,
+    less: (readCTAEl && readCTAEl.getAttribute('data-label-less')) || CONFIG.cv.readLess
+  };
 
-  // Reset baseline on each init (important after Barba transitions).
-  cvEntryWrap.classList.remove('expanded');
-  gsap.set(cvEntryWrap, { maxHeight: collapsedMaxHeight });
-  cvFade.style.display = 'block';
-  if (readCTAEl) {
-    readCTAEl.style.display = '';
-    readCTAEl.textContent = 'Read More';
-  }
-
-  // Short CVs should be fully visible and not animate/crop.
-  const hasOverflow = cvEntry.scrollHeight > cvEntryWrap.clientHeight + 2;
-  if (!hasOverflow) {
-    gsap.set(cvEntryWrap, { maxHeight: 'none' });
-    cvFade.style.display = 'none';
-    if (readCTAEl) readCTAEl.style.display = 'none';
-    return;
+  let collapsedHeight = null; // null: CV fits, nothing to collapse
+  let resizeTimer = null;
+
+  // CSS max-height in px for the current viewport (inline value ignored)
+  function measureLimit() {
+    const inline = cvEntryWrap.style.maxHeight;
+    cvEntryWrap.style.maxHeight = '';
+    const computed = getComputedStyle(cvEntryWrap).maxHeight;
+    cvEntryWrap.style.maxHeight = inline;
+    const px = parseFloat(computed);
+    return computed && computed !== 'none' && !isNaN(px) ? px : window.innerHeight * 0.7;
   }
 
-  let isExpanded = false;
-  
-  window.cvReadMoreHandler = function(e) {
-    const readCTA = e.target.closest('.cv_read_cta');
-    if (readCTA) {
-      e.preventDefault();
-      isExpanded = !isExpanded;
-      const fullHeight = cvEntry.scrollHeight + "px";
-      
-      if (isExpanded) {
-        gsap.to(cvEntryWrap, { maxHeight: fullHeight, duration: 0.8, ease: "power2.inOut" });
-        cvFade.style.display = 'none';
-        readCTA.textContent = 'Read Less';
-        cvEntryWrap.classList.add('expanded');
-      } else {
-        gsap.to(cvEntryWrap, { maxHeight: collapsedMaxHeight, duration: 0.8, ease: "power2.inOut" });
-        cvFade.style.display = 'block';
-        readCTA.textContent = 'Read More';
-        cvEntryWrap.classList.remove('expanded');
+  // Bottom of the last visible entry that fits entirely within the limit
+  function snapHeight(limit) {
+    const wrapTop = cvEntryWrap.getBoundingClientRect().top;
+    let height = 0;
+    const children = Array.from(cvEntry.children).filter(el => el.getClientRects().length);
+    for (let i = 0; i < children.length; i++) {
+      const bottom = children[i].getBoundingClientRect().bottom - wrapTop;
+      if (bottom > limit) break;
+      if (!isCVHeading(children[i])) height = bottom;
+    }
+    return Math.ceil(height) || limit;
+  }
+
+  function updateCTA() {
+    const isExpanded = disclosure.isOpen();
+    if (readCTAEl) readCTAEl.textContent = isExpanded ? labels.less : labels.more;
+    cvFade.style.display = isExpanded || collapsedHeight === null ? 'none' : 'block';
+    cvEntryWrap.classList.toggle('expanded', isExpanded);
+  }
+
+  const disclosure = scope.own(createDisclosure(readCTAEl, cvEntryWrap, {
+    content: cvEntry,
+    property: 'maxHeight',
+    collapsedSize: () => collapsedHeight,
+    openDuration: CONFIG.cv.duration,
+    closeDuration: CONFIG.cv.duration,
+    openClass: '',
+    onToggle: function(expanded, instant) {
+      updateCTA();
+      // Reader was deep in the CV: bring its start back into view
+      const top = cvEntryWrap.getBoundingClientRect().top;
+      if (!expanded && collapsedHeight !== null && top < 0) {
+        window.scrollTo({ top: window.scrollY + top, behavior: instant ? 'auto' : 'smooth' });
       }
     }
-  };
-  
-  document.addEventListener('click', window.cvReadMoreHandler);
+  }));
+
+  function measure() {
+    // Short CVs should be fully visible and not animate/crop.
+    collapsedHeight = null;
+    disclosure.update();
+    const limit = measureLimit();
+    if (cvEntry.scrollHeight > limit + 2) {
+      collapsedHeight = snapHeight(limit);
+    } else {
+      disclosure.close(true);
+    }
+    disclosure.update();
+
+    if (readCTAEl) readCTAEl.style.display = collapsedHeight === null ? 'none' : '';
+    updateCTA();
+  }
+
+  function setExpanded(expanded, instant) {
+    if (collapsedHeight === null) return;
+    disclosure.set(expanded, instant);
+  }
+
+  // #cv-awards, #cv-entries...: open the CV at the target
+  function revealHashTarget() {
+    const id = decodeURIComponent(window.location.hash.slice(1));
+    if (!/^cv-/.test(id)) return;
+    const target = document.getElementById(id);
+    if (!target || !cvEntryWrap.contains(target)) return;
+
+    const sections = getPageController('cvSections');
+    const section = target.getAttribute('data-cv-section');
+    if (sections && section && sections.getSection() !== 'all' && sections.getSection() !== section) {
+      sections.showSection(section); // Re-measures via CV_CHANGE_EVENT
+    }
+    setExpanded(true, true);
+    target.scrollIntoView({ block: 'start', behavior: isReducedMotion() ? 'auto' : 'smooth' });
+  }
+
+  // Reset baseline on each init (important after Barba transitions).
+  measure();
+  revealHashTarget();
+
+  scope.on(window, 'resize', function() {
+    clearTimeout(resizeTimer);
+    resizeTimer = scope.timeout(measure, 150);
+  });
+  scope.on(window, 'hashchange', revealHashTarget);
+  scope.on(cvEntry, CV_CHANGE_EVENT, measure);
+  if (document.fonts) {
+    // The CV may have been swapped out by Barba before the fonts are ready
+    document.fonts.ready.then(() => {
+      if (cvEntry.isConnected) measure();
+    });
+    scope.on(document.fonts, 'loadingdone', measure);
+  }
+
+  registerPageController(scope, 'cv', {
+    expand: () => setExpanded(true),
+    collapse: () => setExpanded(false),
+    toggle: () => setExpanded(!disclosure.isOpen()),
+    isExpanded: () => disclosure.isOpen(),
+    measure
+  });
+
+  return scope;
 }
 
 /* ───────────────────────────────────────────────────────────────────────────
    initCaptionToggle() - Artwork Caption Expand/Collapse
    ───────────────────────────────────────────────────────────────────────────
-   Toggles .ap_caption_outer with GSAP height animation when .caption_trigger
-   is clicked. Uses event delegation for Barba compatibility.
+   Each .caption_trigger becomes a disclosure (createDisclosure) for its
+   .ap_caption_outer: aria-expanded, keyboard activation, [hidden] when
+   closed. [data-expand-all-captions] buttons open/close every caption; one
+   is created before the show list when it has CONFIG.captions.expandAllMin
+   or more captioned .show_item entries. Labels: data-label-expand /
+   data-label-collapse, else CONFIG.captions.
    ─────────────────────────────────────────────────────────────────────────── */
 function initCaptionToggle() {
+  const scope = createCleanupScope('caption-toggle');
+
   function resolveCaptionNodes(trigger) {
-    const scope =
+    const root =
       trigger.closest('.show_item') ||
       trigger.closest('.work_modal') ||
       trigger.parentElement ||
       document;
 
-    const outer = scope.querySelector('.ap_caption_outer');
-    const wrap = scope.querySelector('.ap_caption_wrap');
+    const outer = root.querySelector('.ap_caption_outer');
+    const wrap = root.querySelector('.ap_caption_wrap');
 
     // Preferred structure: .ap_caption_wrap inside .ap_caption_outer
     if (outer) {
@@ -1901,65 +4873,64 @@ function initCaptionToggle() {
   }
 
   const triggers = document.querySelectorAll('.caption_trigger');
-  if (!triggers.length) return;
+  if (!triggers.length) return scope;
 
+  const disclosures = [];
   triggers.forEach((trigger) => {
     const nodes = resolveCaptionNodes(trigger);
     if (!nodes) return;
 
-    nodes.target.style.overflow = 'hidden';
-    if (!nodes.target.classList.contains('is-open')) {
-      gsap.set(nodes.target, { height: '0px' });
-    }
+    disclosures.push(scope.own(createDisclosure(trigger, nodes.target, {
+      content: nodes.content,
+      expanded: nodes.target.classList.contains('is-open'),
+      onToggle: syncExpandAll
+    })));
   });
 
-  if (window.captionToggleHandler) {
-    document.removeEventListener('click', window.captionToggleHandler);
+  // ─── Expand all ───
+  let expandAllButtons = Array.from(document.querySelectorAll('[data-expand-all-captions]'));
+  const firstShowItem = document.querySelector('.show_item');
+  const captionedItems = document.querySelectorAll('.show_item .caption_trigger').length;
+  if (!expandAllButtons.length && firstShowItem && captionedItems >= CONFIG.captions.expandAllMin) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'caption_expand_all';
+    button.setAttribute('data-expand-all-captions', '');
+    const list = firstShowItem.parentNode;
+    list.parentNode.insertBefore(button, list);
+    scope.add(() => button.remove());
+    expandAllButtons = [button];
   }
 
-  window.captionToggleHandler = function(e) {
-    const trigger = e.target.closest('.caption_trigger');
-    if (!trigger) return;
-    e.preventDefault();
+  function syncExpandAll() {
+    const allOpen = disclosures.length > 0 && disclosures.every(disclosure => disclosure.isOpen());
+    expandAllButtons.forEach(button => {
+      button.textContent = allOpen
+        ? button.getAttribute('data-label-collapse') || CONFIG.captions.collapseAll
+        : button.getAttribute('data-label-expand') || CONFIG.captions.expandAll;
+      button.setAttribute('aria-expanded', allOpen ? 'true' : 'false');
+    });
+  }
 
-    const nodes = resolveCaptionNodes(trigger);
-    if (!nodes) return;
-    const captionOuter = nodes.target;
-    const captionContent = nodes.content;
-
-    const isOpen = captionOuter.classList.contains('is-open');
-    gsap.killTweensOf(captionOuter);
-    const fullHeight = `${captionContent.scrollHeight}px`;
-
-    if (isOpen) {
-      // If expanded with auto height, lock current height before collapsing.
-      if (captionOuter.style.height === 'auto' || !captionOuter.style.height) {
-        gsap.set(captionOuter, { height: `${captionOuter.scrollHeight}px` });
-      }
-      gsap.to(captionOuter, {
-        height: '0px',
-        duration: 0.65,
-        ease: 'power2.inOut'
-      });
-      captionOuter.classList.remove('is-open');
-      trigger.classList.remove('is-open');
-    } else {
-      gsap.to(captionOuter, {
-        height: fullHeight,
-        duration: 0.75,
-        ease: 'power2.inOut',
-        onComplete: () => {
-          if (captionOuter.classList.contains('is-open')) {
-            captionOuter.style.height = 'auto';
-          }
-        }
+  if (disclosures.length && expandAllButtons.length) {
+    const panelIds = Array.from(triggers).map(trigger => trigger.getAttribute('aria-controls')).filter(Boolean);
+    expandAllButtons.forEach(button => {
+      button.setAttribute('aria-controls', panelIds.join(' '));
+      scope.on(button, 'click', function(e) {
+        e.preventDefault();
+        const open = !disclosures.every(disclosure => disclosure.isOpen());
+        disclosures.forEach(disclosure => disclosure.set(open));
       });
-      captionOuter.classList.add('is-open');
-      trigger.classList.add('is-open');
-    }
-  };
+    });
+    syncExpandAll();
+  }
+
+  registerPageController(scope, 'captions', {
+    expandAll: () => disclosures.forEach(disclosure => disclosure.open()),
+    collapseAll: () => disclosures.forEach(disclosure => disclosure.close())
+  });
 
-  document.addEventListener('click', window.captionToggleHandler);
+  return scope;
 }
 
 /* ───────────────────────────────────────────────────────────────────────────
@@ -1967,22 +4938,258 @@ function initCaptionToggle() {
    ─────────────────────────────────────────────────────────────────────────── 
    Automatically sorts artist's exhibition list by year (newest first).
    - Runs once on page load for artist detail pages
-   - Reads [data-year] attribute from .w-dyn-item elements
-   - Sorts descending (newest to oldest)
-   - Re-appends items in sorted order
+   - Reads [data-year] (parseDateValue), then data-start-date within a year
+   - Sorts descending (newest to oldest), undated items last
+   - Re-appends items in sorted order; Borto.sorting.reset() still returns
+     to the CMS order (data-sort-index is left as it is)
+   - Skipped when a sort order from the URL/session is active
    ─────────────────────────────────────────────────────────────────────────── */
 
 function initSortExhibitionsByYear() {
   const list = document.querySelector('.g_exhibitions_collection');
   if (!list) return;
   
-  const items = Array.from(list.querySelectorAll('.w-dyn-item'));
+  const sorting = getPageController('sorting');
+  if (sorting && sorting.get()) return;
+  
+  const items = Array.from(list.querySelectorAll(':scope > .w-dyn-item'));
+  const cmsIndex = new Map(items.map((item, index) => [item, index]));
+  const keys = new Map(items.map(item => [item, {
+    year: getDateYear(readListItemValue(item, 'year')),
+    time: getDateTime(readListItemValue(item, 'start-date'))
+  }]));
   items.sort((a, b) => {
-    const aYear = parseInt(a.querySelector('[data-year]')?.dataset.year || '0');
-    const bYear = parseInt(b.querySelector('[data-year]')?.dataset.year || '0');
-    return bYear - aYear; // Descending
+    const aKey = keys.get(a);
+    const bKey = keys.get(b);
+    if (aKey.year !== bKey.year) {
+      if (aKey.year === null || bKey.year === null) return (aKey.year === null) - (bKey.year === null); // Undated last
+      return bKey.year - aKey.year; // Descending
+    }
+    if (isNaN(aKey.time) || isNaN(bKey.time)) return isNaN(aKey.time) - isNaN(bKey.time);
+    return bKey.time - aKey.time;
+  });
+  items.forEach(it => {
+    // CMS position for Borto.sorting.reset(), unless initExhibitionSorting() set it
+    if (!it.hasAttribute('data-sort-index')) it.setAttribute('data-sort-index', cmsIndex.get(it));
+    list.appendChild(it);
+  });
+  list.dispatchEvent(new CustomEvent(LIST_CHANGE_EVENT, { bubbles: true, detail: { list, reason: 'sort' } }));
+}
+
+/* ───────────────────────────────────────────────────────────────────────────
+   initWorkModals() - Keyboard-Accessible Work Modals
+   ─────────────────────────────────────────────────────────────────────────── 
+   One controller for both modal paths on exhibition detail pages: the work
+   list (.work_list_caption_wrap) and the works section (.works_item). Each
+   trigger contains its own .works_modal (toggled via .open / .closed).
+   - Click, Enter or Space on a trigger opens its modal
+   - role="dialog" + aria-modal, focus moves into the modal and Tab is
+     trapped inside it
+   - Escape or a click inside the modal closes it; focus returns to the
+     trigger of the work that was showing
+   - ArrowLeft / ArrowRight (or [data-modal-prev] / [data-modal-next] inside
+     the modal) step to the previous/next work of the same list
+   - Body scroll is locked while open and restored once the close fade has
+     finished, or on page leave. Opening a work while its modal still fades
+     out reopens it
+   ─────────────────────────────────────────────────────────────────────────── */
+
+const WORK_MODAL_TRIGGERS = ['.work_list_caption_wrap', '.works_item'];
+const FOCUSABLE_SELECTOR = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+function initWorkModals() {
+  const scope = createCleanupScope('work-modals');
+
+  // trigger → { group, index, modal }; prev/next stays within a group
+  const entries = new Map();
+  WORK_MODAL_TRIGGERS.forEach(selector => {
+    const group = Array.from(document.querySelectorAll(selector))
+      .filter(trigger => trigger.querySelector('.works_modal'));
+
+    group.forEach((trigger, index) => {
+      const modal = trigger.querySelector('.works_modal');
+      if (!modal.id) modal.id = 'works-modal-' + entries.size;
+      modal.setAttribute('role', 'dialog');
+      modal.setAttribute('aria-modal', 'true');
+      modal.setAttribute('tabindex', '-1');
+      if (!modal.hasAttribute('aria-label') && !modal.hasAttribute('aria-labelledby')) {
+        modal.setAttribute('aria-label', 'Work ' + (index + 1) + ' of ' + group.length);
+      }
+      if (!trigger.matches(FOCUSABLE_SELECTOR)) trigger.setAttribute('tabindex', '0');
+      trigger.setAttribute('aria-controls', modal.id);
+      entries.set(trigger, { group, index, modal });
+    });
+  });
+
+  if (!entries.size) return scope;
+  console.log('🪟 Work modals ready:', entries.size);
+
+  let current = null; // { trigger, group, index, modal } while a modal is open
+  let scrollLocked = false;
+  let savedOverflow = '';
+
+  function lockScroll() {
+    if (scrollLocked) return;
+    savedOverflow = document.body.style.overflow;
+    document.body.style.overflow = 'hidden';
+    scrollLocked = true;
+  }
+
+  function unlockScroll() {
+    if (!scrollLocked) return;
+    document.body.style.overflow = savedOverflow;
+    scrollLocked = false;
+  }
+
+  // onHidden runs once the modal is .closed (after the fade when animated)
+  function hideModal(modal, animate, onHidden) {
+    const finish = () => {
+      modal.classList.remove('open');
+      modal.classList.add('closed');
+      gsap.set(modal, { clearProps: 'all' });
+      if (onHidden) onHidden();
+    };
+
+    gsap.killTweensOf(modal);
+    if (!animate) {
+      finish();
+      return;
+    }
+    gsap.to(modal, {
+      opacity: 0,
+      scale: isReducedMotion() ? 1 : 0.8,
+      duration: 0.5,
+      ease: "power2.in",
+      onComplete: finish
+    });
+  }
+
+  // stepping: switching works inside an open modal (quick fade, no scale)
+  function open(trigger, stepping) {
+    const entry = entries.get(trigger);
+    if (!entry || (current && current.modal === entry.modal)) return;
+
+    const modal = entry.modal;
+    // Reopened while close() still fades it out: kill the hide, fade back in
+    const hiding = !modal.classList.contains('closed');
+    lockScroll();
+    current = Object.assign({ trigger }, entry);
+
+    gsap.killTweensOf(modal);
+    modal.classList.remove('closed');
+    modal.classList.add('open');
+    if (hiding) {
+      gsap.to(modal, { opacity: 1, scale: 1, duration: 0.3, ease: "power2.out" });
+    } else if (stepping) {
+      gsap.fromTo(modal, { opacity: 0 }, { opacity: 1, duration: 0.3, ease: "power2.out" });
+    } else {
+      gsap.fromTo(modal, 
+        { opacity: 0, scale: isReducedMotion() ? 1 : 0.8 },
+        { opacity: 1, scale: 1, duration: 0.5, ease: "power2.out" }
+      );
+    }
+    modal.focus({ preventScroll: true });
+  }
+
+  function close() {
+    if (!current) return;
+    const { trigger, modal } = current;
+    current = null;
+    // Scroll stays locked until the fade is done (unless another modal opened)
+    hideModal(modal, true, () => {
+      if (!current) unlockScroll();
+    });
+    trigger.focus();
+  }
+
+  function step(delta) {
+    if (!current || current.group.length < 2) return;
+    const { group, index, modal } = current;
+    const next = group[(index + delta + group.length) % group.length];
+    hideModal(modal, false);
+    current = null;
+    open(next, true);
+  }
+
+  function trapFocus(e) {
+    const modal = current.modal;
+    const focusables = Array.from(modal.querySelectorAll(FOCUSABLE_SELECTOR))
+      .filter(el => el.getClientRects().length);
+
+    if (!focusables.length) {
+      e.preventDefault();
+      modal.focus({ preventScroll: true });
+      return;
+    }
+
+    const first = focusables[0];
+    const last = focusables[focusables.length - 1];
+    const active = document.activeElement;
+    if (e.shiftKey && (active === first || active === modal)) {
+      e.preventDefault();
+      last.focus();
+    } else if (!e.shiftKey && active === last) {
+      e.preventDefault();
+      first.focus();
+    }
+  }
+
+  scope.on(document, 'click', function(e) {
+    if (current) {
+      // Clicks inside the open modal close it (prev/next controls excepted)
+      if (!current.modal.contains(e.target)) return;
+      const stepControl = e.target.closest('[data-modal-prev], [data-modal-next]');
+      if (stepControl) {
+        e.preventDefault();
+        step(stepControl.hasAttribute('data-modal-prev') ? -1 : 1);
+        return;
+      }
+      close();
+      return;
+    }
+
+    const trigger = e.target.closest(WORK_MODAL_TRIGGERS.join(', '));
+    if (trigger) open(trigger);
+  });
+
+  scope.on(document, 'keydown', function(e) {
+    if (!current) {
+      if ((e.key === 'Enter' || e.key === ' ') && entries.has(e.target)) {
+        e.preventDefault();
+        open(e.target);
+      }
+      return;
+    }
+
+    if (e.key === 'Escape') {
+      e.preventDefault();
+      close();
+    } else if (e.key === 'ArrowLeft') {
+      e.preventDefault();
+      step(-1);
+    } else if (e.key === 'ArrowRight') {
+      e.preventDefault();
+      step(1);
+    } else if (e.key === 'Tab') {
+      trapFocus(e);
+    }
+  });
+
+  // Focus escaping the modal (e.g. onto its own trigger) is pulled back in
+  scope.on(document, 'focusin', function(e) {
+    if (current && !current.modal.contains(e.target)) {
+      current.modal.focus({ preventScroll: true });
+    }
+  });
+
+  // Page leave: never leave the body scroll-locked
+  scope.add(() => {
+    if (current) hideModal(current.modal, false);
+    current = null;
+    unlockScroll();
   });
-  items.forEach(it => list.appendChild(it));
+
+  return scope;
 }
 
 /* ───────────────────────────────────────────────────────────────────────────
@@ -1991,19 +5198,22 @@ function initSortExhibitionsByYear() {
    Handles all exhibition detail page functionality:
    - Grid/Fullscreen toggle (#grid-toggle button)
    - Image click navigation in grid view
+   - Deep links: #view=grid&work=12 restored on entry and back/forward;
+     view switches push an entry (pushHistoryEntry), scrolling replaces it
    - Work list hover thumbnails (.work_list_thumb_wrap)
-   - Work modal system (.works_modal)
+   - Work modal system (.works_modal, see initWorkModals)
    
    Uses event delegation for Barba compatibility.
    ─────────────────────────────────────────────────────────────────────────── */
 
 function initExhibitionDetailScripts() {
   console.log('Initializing exhibition detail scripts...');
+  const scope = createCleanupScope('exhibition-detail');
   
   // 1. Three view mode toggles: Full, Medium, Grid
   const container = document.querySelector('.show_inner');
   
-  if (!container) return;
+  if (!container) return scope;
 
   // Helper to detect current view mode
   function getCurrentViewMode() {
@@ -2035,11 +5245,25 @@ function initExhibitionDetailScripts() {
     return closestItem;
   }
 
+  // Layout classes per mode, shared by the animated switches and deep links
+  // - Full:   u-vflex-center-top u-gap-row-main
+  // - Medium: same container as Full + .is-medium on images
+  // - Grid:   u-grid-column-4
+  function applyViewClasses(mode) {
+    const isGrid = mode === 'grid';
+    container.classList.toggle('u-grid-column-4', isGrid);
+    container.classList.toggle('u-vflex-center-top', !isGrid);
+    container.classList.toggle('u-gap-row-main', !isGrid);
+    document.querySelectorAll('.show_img').forEach(image => {
+      image.classList.toggle('is-medium', mode === 'medium');
+    });
+  }
+
   // View mode functions
   function showFullView(clickedItem = null, preservePosition = false) {
     console.log('Switching to Full View');
     const showItems = document.querySelectorAll('.show_item');
-    const images = document.querySelectorAll('.show_img');
+    const reduced = isReducedMotion(); // Opacity-only swap, no scale/slide
     
     // Store current visible item if preserving position
     const itemToScrollTo = preservePosition ? getCurrentlyVisibleItem() : clickedItem;
@@ -2054,9 +5278,9 @@ function initExhibitionDetailScripts() {
     gsap.killTweensOf(container);
     
     gsap.to(showItems, {
-      scale: 0.9,
+      scale: reduced ? 1 : 0.9,
       opacity: 0,
-      duration: 0.5,
+      duration: reduced ? 0.2 : 0.5,
       ease: "power2.inOut",
       onComplete: () => {
         // Only scroll to top if not preserving position and no clicked item
@@ -2064,14 +5288,7 @@ function initExhibitionDetailScripts() {
           window.scrollTo(0, 0);
         }
         
-        // Full: u-vflex-center-top u-gap-row-main
-        container.classList.remove('u-grid-column-4');
-        container.classList.add('u-vflex-center-top', 'u-gap-row-main');
-        
-        // Remove .is-medium from images
-        images.forEach(image => {
-          image.classList.remove('is-medium');
-        });
+        applyViewClasses('full');
         
         // Reset GSAP transforms
         gsap.set(showItems, { clearProps: "all" });
@@ -2084,10 +5301,10 @@ function initExhibitionDetailScripts() {
         // Animate all items with stagger
         gsap.from(showItems, {
           opacity: 0,
-          y: 50,
-          duration: 1.2,
+          y: reduced ? 0 : 50,
+          duration: reduced ? 0.3 : 1.2,
           ease: "power1.out",
-          stagger: 0.05,
+          stagger: reduced ? 0 : 0.05,
           onComplete: () => {
             // Resume Headroom after transition
             if (nav && nav.headroomInstance) {
@@ -2102,7 +5319,7 @@ function initExhibitionDetailScripts() {
   function showMediumView(preservePosition = false) {
     console.log('Switching to Medium View');
     const showItems = document.querySelectorAll('.show_item');
-    const images = document.querySelectorAll('.show_img');
+    const reduced = isReducedMotion(); // Opacity-only swap, no scale/slide
     
     // Store current visible item if preserving position
     const itemToScrollTo = preservePosition ? getCurrentlyVisibleItem() : null;
@@ -2117,9 +5334,9 @@ function initExhibitionDetailScripts() {
     gsap.killTweensOf(container);
     
     gsap.to(showItems, {
-      scale: 0.9,
+      scale: reduced ? 1 : 0.9,
       opacity: 0,
-      duration: 0.5,
+      duration: reduced ? 0.2 : 0.5,
       ease: "power2.inOut",
       onComplete: () => {
         // Only scroll to top if not preserving position
@@ -2127,14 +5344,7 @@ function initExhibitionDetailScripts() {
           window.scrollTo(0, 0);
         }
         
-        // Medium: u-vflex-center-top u-gap-row-main (same container as Full)
-        container.classList.remove('u-grid-column-4');
-        container.classList.add('u-vflex-center-top', 'u-gap-row-main');
-        
-        // Add .is-medium to images
-        images.forEach(image => {
-          image.classList.add('is-medium');
-        });
+        applyViewClasses('medium');
         
         // Reset GSAP transforms
         gsap.set(showItems, { clearProps: "all" });
@@ -2147,10 +5357,10 @@ function initExhibitionDetailScripts() {
         // Animate all items with stagger
         gsap.from(showItems, {
           opacity: 0,
-          y: 50,
-          duration: 1.2,
+          y: reduced ? 0 : 50,
+          duration: reduced ? 0.3 : 1.2,
           ease: "power1.out",
-          stagger: 0.05,
+          stagger: reduced ? 0 : 0.05,
           onComplete: () => {
             // Resume Headroom after transition
             if (nav && nav.headroomInstance) {
@@ -2165,7 +5375,7 @@ function initExhibitionDetailScripts() {
   function showGridView() {
     console.log('Switching to Grid View');
     const showItems = document.querySelectorAll('.show_item');
-    const images = document.querySelectorAll('.show_img');
+    const reduced = isReducedMotion(); // Opacity-only swap, no scale/slide
     
     // Pause Headroom during transition
     const nav = document.getElementById('nav');
@@ -2177,21 +5387,14 @@ function initExhibitionDetailScripts() {
     gsap.killTweensOf(container);
     
     gsap.to(showItems, {
-      scale: 0.9,
+      scale: reduced ? 1 : 0.9,
       opacity: 0,
-      duration: 0.5,
+      duration: reduced ? 0.2 : 0.5,
       ease: "power2.inOut",
       onComplete: () => {
         window.scrollTo(0, 0);
         
-        // Grid: u-grid-column-4
-        container.classList.remove('u-vflex-center-top', 'u-gap-row-main');
-        container.classList.add('u-grid-column-4');
-        
-        // Remove .is-medium from images
-        images.forEach(image => {
-          image.classList.remove('is-medium');
-        });
+        applyViewClasses('grid');
         
         // Reset GSAP transforms
         gsap.set(showItems, { clearProps: "all" });
@@ -2199,10 +5402,10 @@ function initExhibitionDetailScripts() {
         // Stagger back in
         gsap.from(showItems, {
           opacity: 0,
-          y: 50,
-          duration: 1.2,
+          y: reduced ? 0 : 50,
+          duration: reduced ? 0.3 : 1.2,
           ease: "power1.out",
-          stagger: 0.1,
+          stagger: reduced ? 0 : 0.1,
           onComplete: () => {
             // Resume Headroom after transition
             if (nav && nav.headroomInstance) {
@@ -2234,43 +5437,58 @@ function initExhibitionDetailScripts() {
   // Set initial active state
   updateToggleActiveStates(getCurrentViewMode());
 
-  // Use event delegation for toggle buttons - works after Barba transitions
-  // Remove old listener first
-  if (window.exhibitionDetailHandler) {
-    document.removeEventListener('click', window.exhibitionDetailHandler);
+  // View switch used by the buttons, image clicks and Borto.exhibition.setView.
+  // clickedItem: .show_item to land on when opening Full from Grid/Medium.
+  function setView(mode, clickedItem) {
+    const currentMode = getCurrentViewMode();
+    let focusItem = null;
+    if (mode === 'full') {
+      // Preserve position when switching from Medium to Full
+      const preserve = !clickedItem && currentMode === 'medium';
+      focusItem = clickedItem || (preserve ? getCurrentlyVisibleItem() : null);
+      showFullView(clickedItem || null, preserve);
+    } else if (mode === 'medium') {
+      // Preserve position when switching from Full to Medium
+      const preserve = currentMode === 'full';
+      focusItem = preserve ? getCurrentlyVisibleItem() : null;
+      showMediumView(preserve);
+    } else if (mode === 'grid') {
+      showGridView();
+    } else {
+      console.log('⚠️ Unknown exhibition view mode:', mode);
+      return;
+    }
+    updateToggleActiveStates(mode);
+    writeViewHash(buildViewHash(mode, focusItem), true);
   }
-  
-  window.exhibitionDetailHandler = function(e) {
+
+  registerPageController(scope, 'exhibition', {
+    setView,
+    getView: getCurrentViewMode
+  });
+
+  // Use event delegation for toggle buttons - works after Barba transitions
+  scope.on(document, 'click', function(e) {
     const currentMode = getCurrentViewMode();
     
     // Check for Full view button
-    const fullBtn = e.target.closest('#Full');
-    if (fullBtn) {
+    if (e.target.closest('#Full')) {
       console.log('Full View Button Clicked');
-      // Preserve position when switching from Medium to Full
-      const preservePosition = currentMode === 'medium';
-      showFullView(null, preservePosition);
-      updateToggleActiveStates('full');
+      setView('full');
       return;
     }
     
     // Check for Medium view button
-    const mediumBtn = e.target.closest('#Medium');
-    if (mediumBtn) {
+    if (e.target.closest('#Medium')) {
       console.log('Medium View Button Clicked');
-      // Preserve position when switching from Full to Medium
-      const preservePosition = currentMode === 'full';
-      showMediumView(preservePosition);
-      updateToggleActiveStates('medium');
+      setView('medium');
       return;
     }
     
     // Check for Grid view button
-    const gridBtn = e.target.closest('#Grid');
-    if (gridBtn) {
+    if (e.target.closest('#Grid')) {
       console.log('Grid View Button Clicked');
-      showGridView();
-      updateToggleActiveStates('grid');
+      setView('grid');
       return;
     }
     
@@ -2280,214 +5498,149 @@ function initExhibitionDetailScripts() {
       e.preventDefault();
       
       if (currentMode === 'grid') {
-        // Grid → Full (with clicked item)
-        console.log('Image clicked in grid view - switching to Full');
-        const clickedItem = clickedImage.closest('.show_item');
-        showFullView(clickedItem, false);
-        updateToggleActiveStates('full');
-      } else if (currentMode === 'medium') {
-        // Medium → Full (with clicked item)
-        console.log('Image clicked in medium view - switching to Full');
-        const clickedItem = clickedImage.closest('.show_item');
-        showFullView(clickedItem, false);
-        updateToggleActiveStates('full');
-      } else if (currentMode === 'full') {
-        // Full → Medium (preserve position)
-        console.log('Image clicked in full view - switching back to Medium');
-        showMediumView(true);
-        updateToggleActiveStates('medium');
-      }
-    }
-  };
-  
-  document.addEventListener('click', window.exhibitionDetailHandler);
-
-  // 2. Work list hover thumbnails - Fixed for Barba
-  let lastWorkThumb = null;
-  let workHandlers = window.workHandlers || [];
-
-  function hideWorkThumbnail() {
-    if (lastWorkThumb) {
-      gsap.to(lastWorkThumb, { 
-        opacity: 0, 
-        y: 30, 
-        visibility: 'hidden', 
-        duration: 0.5,
-        ease: "power1.out" 
-      });
-      lastWorkThumb = null;
-    }
-  }
-  
-  // Remove old handlers
-  workHandlers.forEach(obj => {
-    obj.item.removeEventListener(obj.type, obj.handler);
-  });
-  workHandlers = [];
-
-  function setupWorkHoverDesktop() {
-    // Re-query fresh elements from DOM
-    const workItems = document.querySelectorAll('.work_list_caption_wrap');
-    const workThumbs = document.querySelectorAll('.work_list_thumb_wrap');
-    
-    console.log('Setting up work hover for', workItems.length, 'items');
-    
-    // Hide all thumbnails by default
-    workThumbs.forEach(thumb => {
-      gsap.set(thumb, { opacity: 0, y: 50, visibility: 'hidden' });
-    });
-
-    workItems.forEach((item, index) => {
-      const thumb = item.parentElement.querySelector('.work_list_thumb_wrap');
-      
-      if (!thumb) {
-        console.warn('No thumb found for work item', index);
-        return;
-      }
-
-      const hoverEnter = () => {
-        console.log('🔍 Thumb element:', thumb);
-        console.log('🔍 Thumb computed style:', window.getComputedStyle(thumb));
-        console.log('🔍 Thumb display:', window.getComputedStyle(thumb).display);
-        console.log('🔍 Thumb position:', window.getComputedStyle(thumb).position);
-        
-        // Kill any in-progress animations on this thumbnail to prevent stuck states
-        gsap.killTweensOf(thumb);
-        
-        // If another thumbnail is already visible, hide it first
-        if (lastWorkThumb && lastWorkThumb !== thumb) {
-          gsap.killTweensOf(lastWorkThumb);
-          gsap.to(lastWorkThumb, { 
-            opacity: 0, 
-            y: 30, 
-            visibility: 'hidden', 
-            duration: 0.9,
-            ease: "circ.out" 
-          });
-        }
-
-        // Animate the current thumbnail into view
-        gsap.fromTo(thumb, 
-          { opacity: 0, y: 30, visibility: 'visible' },
-          { 
-            opacity: 1, 
-            y: 0, 
-            duration: 0.9,
-            ease: "circ.out" 
-          }
-        );
+        // Grid → Full (with clicked item)
+        console.log('Image clicked in grid view - switching to Full');
+        setView('full', clickedImage.closest('.show_item'));
+      } else if (currentMode === 'medium') {
+        // Medium → Full (with clicked item)
+        console.log('Image clicked in medium view - switching to Full');
+        setView('full', clickedImage.closest('.show_item'));
+      } else if (currentMode === 'full') {
+        // Full → Medium (preserve position)
+        console.log('Image clicked in full view - switching back to Medium');
+        setView('medium');
+      }
+    }
+  });
 
-        lastWorkThumb = thumb;
-      };
+  // 1b. Deep links - view mode + focused .show_item in the URL hash
+  //     (#view=grid&work=12, work = 1-based .show_item position).
+  //     Hash rather than query: Barba's go() returns early on a popstate
+  //     whose path + query match its current URL (no self transition is
+  //     registered), while a query change would trigger a full page
+  //     transition on back/forward.
+  //     View switches push a history entry with its own index
+  //     (pushHistoryEntry), so back/forward steps through them; scrolling
+  //     only replaces the current one.
+  function getShowItems() {
+    return Array.from(container.querySelectorAll('.show_item'));
+  }
 
-      const hoverLeave = () => {
-        // Kill any in-progress animations before hiding
-        gsap.killTweensOf(thumb);
-        gsap.to(thumb, { 
-          opacity: 0, 
-          y: 30, 
-          visibility: 'hidden', 
-          duration: 0.9,
-          ease: "circ.out" 
-        });
-        if (lastWorkThumb === thumb) {
-          lastWorkThumb = null;
-        }
-      };
+  function buildViewHash(mode, item) {
+    const index = item ? getShowItems().indexOf(item) : -1;
+    return '#view=' + mode + (index >= 0 ? '&work=' + (index + 1) : '');
+  }
 
-      item.addEventListener('mouseenter', hoverEnter);
-      item.addEventListener('mouseleave', hoverLeave);
-      workHandlers.push({ item, type: 'mouseenter', handler: hoverEnter });
-      workHandlers.push({ item, type: 'mouseleave', handler: hoverLeave });
-    });
+  function readViewHash() {
+    const params = new URLSearchParams(window.location.hash.slice(1));
+    const view = params.get('view');
+    const work = parseInt(params.get('work'), 10);
+    return {
+      view: ['full', 'medium', 'grid'].includes(view) ? view : null,
+      item: work > 0 ? getShowItems()[work - 1] || null : null
+    };
+  }
 
-    window.addEventListener('scroll', hideWorkThumbnail);
-    workHandlers.push({ item: window, type: 'scroll', handler: hideWorkThumbnail });
-    
-    // Store globally for cleanup on next call
-    window.workHandlers = workHandlers;
+  function writeViewHash(hash, push) {
+    if (hash === window.location.hash) return;
+    const url = window.location.pathname + window.location.search + hash;
+    if (push) {
+      pushHistoryEntry(url);
+    } else {
+      // Keep Barba's history state (index/states) on the entry
+      history.replaceState(Object.assign({}, history.state), '', url);
+    }
   }
 
-  if (window.innerWidth > 1024) {
-    setupWorkHoverDesktop();
+  function centerItem(item) {
+    if (item) item.scrollIntoView({ behavior: 'auto', block: 'center' });
   }
 
-  // 3. Work list modal - use inline handler
-  const workItemsForModal = document.querySelectorAll('.work_list_caption_wrap');
-  workItemsForModal.forEach(item => {
-    item.onclick = function() {
-      const modal = item.querySelector('.works_modal');
-      if (modal && modal.classList.contains('closed')) {
-        document.body.style.overflow = 'hidden';
-        modal.classList.remove('closed');
-        modal.classList.add('open');
-        gsap.fromTo(modal, 
-          { opacity: 0, scale: 0.8 },
-          { opacity: 1, scale: 1, duration: 0.5, ease: "power2.out" }
-        );
-        
-        const closeModal = function(e) {
-          const modal = e.currentTarget;
-          gsap.to(modal, {
-            opacity: 0,
-            scale: 0.8,
-            duration: 0.5,
-            ease: "power2.in",
-            onComplete: function() {
-              modal.classList.remove('open');
-              modal.classList.add('closed');
-              gsap.set(modal, { clearProps: "all" });
-              document.body.style.overflow = '';
-            }
-          });
-          modal.removeEventListener('click', closeModal);
-        };
-        
-        modal.addEventListener('click', closeModal);
+  // Layout the page was delivered with (entries without a view in the hash)
+  const initialViewMode = getCurrentViewMode();
+
+  // Apply the hash instantly (entry) or with a quick fade (back/forward)
+  function restoreViewFromHash(animate) {
+    const { view, item } = readViewHash();
+    const mode = view || initialViewMode;
+
+    if (mode !== getCurrentViewMode()) {
+      // Cut any running switch short (and release Headroom it froze)
+      gsap.killTweensOf(getShowItems());
+      const nav = document.getElementById('nav');
+      if (nav && nav.headroomInstance) nav.headroomInstance.unfreeze();
+      applyViewClasses(mode);
+      gsap.set(getShowItems(), { clearProps: 'transform' });
+      if (animate) {
+        gsap.fromTo(getShowItems(), { opacity: 0 }, { opacity: 1, duration: 0.4, ease: 'power1.out' });
       }
-    };
-  });
+    }
+    updateToggleActiveStates(mode);
 
-  // 4. Work modal (different from work list modal) - use inline handler
-  document.querySelectorAll('.works_item').forEach(item => {
-    item.onclick = function () {
-      const modal = item.querySelector('.works_modal');
-      if (!modal || !modal.classList.contains('closed')) return;
-      
-      document.body.style.overflow = 'hidden';
-      modal.classList.remove('closed');
-      modal.classList.add('open');
-      gsap.fromTo(modal, 
-        { opacity: 0, scale: 0.8 }, 
-        { opacity: 1, scale: 1, duration: 0.5, ease: "power2.out" }
-      );
-      
-      const closeModal = function(e) {
-        const modal = e.currentTarget;
-        gsap.to(modal, {
-          opacity: 0,
-          scale: 0.8,
-          duration: 0.5,
-          ease: "power2.in",
-          onComplete: function () {
-            modal.classList.remove('open');
-            modal.classList.add('closed');
-            gsap.set(modal, { clearProps: 'all' });
-            document.body.style.overflow = '';
-          }
-        });
-        modal.removeEventListener('click', closeModal);
-      };
-      
-      modal.addEventListener('click', closeModal);
+    if (item) {
+      centerItem(item);
+    } else if (animate) {
+      window.scrollTo(0, 0);
+    }
+    if (view || item) {
+      console.log('🔗 Exhibition view restored from URL:', mode, item ? getShowItems().indexOf(item) + 1 : '');
+    }
+    return item;
+  }
+
+  const linkedItem = restoreViewFromHash(false);
+  if (linkedItem) {
+    // Re-center once the images above (and in) the linked item have loaded
+    const pending = getShowItems()
+      .slice(0, getShowItems().indexOf(linkedItem) + 1)
+      .reduce((imgs, item) => imgs.concat(Array.from(item.querySelectorAll('img'))), [])
+      .filter(img => !img.complete);
+    let remaining = pending.length;
+    const onImageSettled = () => {
+      remaining--;
+      if (remaining === 0) centerItem(linkedItem);
     };
+    pending.forEach(img => {
+      scope.on(img, 'load', onImageSettled, { once: true });
+      scope.on(img, 'error', onImageSettled, { once: true });
+    });
+  }
+
+  // Back/forward between view states of this page (Barba ignores these)
+  const pagePath = window.location.pathname + window.location.search;
+  scope.on(window, 'popstate', function(e) {
+    if (window.location.pathname + window.location.search !== pagePath) return;
+    syncHistoryEntry(e.state);
+    restoreViewFromHash(true);
   });
 
+  // Keep the focused work in the URL while scrolling (no new history entries),
+  // only once the URL carries a view: one the visitor picked (view switch,
+  // image click) or arrived with. Plain visits keep a clean URL.
+  let scrollSyncTimer = null;
+  scope.on(window, 'scroll', function() {
+    clearTimeout(scrollSyncTimer);
+    scrollSyncTimer = setTimeout(() => {
+      if (!readViewHash().view) return;
+      writeViewHash(buildViewHash(getCurrentViewMode(), getCurrentlyVisibleItem()), false);
+    }, 250);
+  }, { passive: true });
+  scope.add(() => clearTimeout(scrollSyncTimer));
+
+  // 2. Work list hover thumbnails
+  scope.own(initHoverPreviews('works'));
+
+  // 3. Work modals (.work_list_caption_wrap and .works_item paths)
+  scope.own(initWorkModals());
+
   console.log('✅ Exhibition detail scripts initialized');
+
+  return scope;
 }
 
 function initOldHomePageScripts() {
   console.log('Initializing old home page scripts...');
+  const scope = createCleanupScope('old-home');
   
   const logoWrap = document.querySelector(".logo_wrap");
   const homeImg = document.querySelector(".home_img");
@@ -2497,7 +5650,7 @@ function initOldHomePageScripts() {
     gsap.fromTo(".home_img", 
       { 
         opacity: 0, 
-        scale: 1.02 
+        scale: isReducedMotion() ? 1 : 1.02 
       },
       { 
         opacity: 1, 
@@ -2514,14 +5667,8 @@ function initOldHomePageScripts() {
     logoWrap.style.display = "block";
     gsap.set(".logo_wrap", { opacity: 1 });
     
-    const tl = gsap.timeline({ delay: 0.3 }); // Small delay to let image start fading in first
-    tl.from(".svg-letter", {
-      y: 400,
-      duration: 0.7, // Longer duration for smoother feel
-      opacity: 0,
-      stagger: 0.04, // Less stagger = more overlap between letters
-      ease: "expo.inOut"
-    });
+    const tl = scope.tween(gsap.timeline({ delay: 0.3 })); // Small delay to let image start fading in first
+    tl.from(".svg-letter", logoLettersFromVars());
     tl.to(".logo_wrap", {
       opacity: 0,
       duration: 0.5,
@@ -2539,7 +5686,7 @@ function initOldHomePageScripts() {
   
   if (scrollItems.length) {
     scrollItems.forEach((item) => {
-      gsap.fromTo(
+      scope.tween(gsap.fromTo(
         item, 
         { opacity: 0, y: 100 },
         {
@@ -2549,11 +5696,11 @@ function initOldHomePageScripts() {
           ease: "power2.out",
           scrollTrigger: {
             trigger: item,
-            start: "top 80%",
+            start: CONFIG.scroll.homeFlexStart,
             toggleActions: "play none none none",
           }
         }
-      );
+      ));
     });
   }
   
@@ -2563,7 +5710,7 @@ function initOldHomePageScripts() {
   
   if (!homeContainer || !homeToggleButton) {
     console.log('Home toggle elements not found, skipping...');
-    return;
+    return scope;
   }
   
   const homeItems = document.querySelectorAll('.home_item');
@@ -2679,11 +5826,7 @@ function initOldHomePageScripts() {
   }
   
   // Event delegation for toggle button
-  if (window.homeToggleHandler) {
-    document.removeEventListener('click', window.homeToggleHandler);
-  }
-  
-  window.homeToggleHandler = function(e) {
+  scope.on(document, 'click', function(e) {
     if (e.target.closest('.nav_toggle')) {
       console.log("Home Toggle Button Clicked");
       if (isHomeGridView) {
@@ -2692,11 +5835,16 @@ function initOldHomePageScripts() {
         showHomeGridView();
       }
     }
-  };
-  
-  document.addEventListener('click', window.homeToggleHandler);
+  });
+
+  registerPageController(scope, 'home', {
+    setView: (mode) => (mode === 'grid' ? showHomeGridView() : showHomeFullScreenView()),
+    getView: () => (isHomeGridView ? 'grid' : 'full')
+  });
   
   console.log('✅ Old home page scripts initialized');
+
+  return scope;
 }
 
 /* ───────────────────────────────────────────────────────────────────────────
@@ -2708,6 +5856,7 @@ function initOldHomePageScripts() {
 
 function initHomePageScripts() {
   console.log('Initializing home page scripts...');
+  const scope = createCleanupScope('home');
   
   const logoWrap = document.querySelector(".logo_wrap");
   const homeItems = document.querySelectorAll(".home_item");
@@ -2716,10 +5865,47 @@ function initHomePageScripts() {
   // FEATURED IMAGE SLIDESHOW - Random start + crossfade cycle
   // ═══════════════════════════════════════════════════════════════════════════
   
-  let slideshowInterval = null;
   let currentSlideIndex = 0;
-  const SLIDESHOW_DURATION = 6000; // 6 seconds per image
-  const FADE_DURATION = 1.2; // 1.2 second crossfade
+  let slideshowInterval = null;
+  let slideshowPaused = false;
+  let slideshowArmed = false; // Set once the intro hands over to the slideshow
+
+  function startSlideshow() {
+    slideshowArmed = true;
+    // No autoplay under reduced motion (Borto.slideshow.next() still works)
+    if (homeItems.length <= 1 || slideshowInterval || slideshowPaused || isReducedMotion()) return;
+    slideshowInterval = setInterval(nextSlide, CONFIG.slideshow.interval);
+  }
+
+  function stopSlideshow() {
+    if (!slideshowInterval) return;
+    clearInterval(slideshowInterval);
+    slideshowInterval = null;
+  }
+
+  // Cleared with the page scope on Barba leave
+  scope.add(stopSlideshow);
+
+  scope.on(document, MOTION_CHANGE_EVENT, (e) => {
+    if (e.detail.reduced) {
+      stopSlideshow();
+    } else if (slideshowArmed) {
+      startSlideshow();
+    }
+  });
+
+  registerPageController(scope, 'slideshow', {
+    pause: () => {
+      slideshowPaused = true;
+      stopSlideshow();
+    },
+    resume: () => {
+      slideshowPaused = false;
+      startSlideshow();
+    },
+    next: () => nextSlide(),
+    isPaused: () => slideshowPaused
+  });
   
   // ═══════════════════════════════════════════════════════════════════════════
   // FEATURED IMAGE SLIDESHOW - Completely independent of logo animation
@@ -2759,7 +5945,7 @@ function initHomePageScripts() {
     });
     
     // Start the slideshow cycle
-    slideshowInterval = setInterval(nextSlide, SLIDESHOW_DURATION);
+    startSlideshow();
     console.log('✅ Home featured slideshow started');
   }
   
@@ -2770,18 +5956,10 @@ function initHomePageScripts() {
     currentSlideIndex = (currentSlideIndex + 1) % homeItems.length;
     
     // Simple crossfade: fade out old, fade in new
-    gsap.to(homeItems[prevIndex], { opacity: 0, duration: FADE_DURATION, ease: "power2.inOut" });
-    gsap.to(homeItems[currentSlideIndex], { opacity: 1, duration: FADE_DURATION, ease: "power2.inOut" });
+    gsap.to(homeItems[prevIndex], { opacity: 0, duration: CONFIG.slideshow.fade, ease: "power2.inOut" });
+    gsap.to(homeItems[currentSlideIndex], { opacity: 1, duration: CONFIG.slideshow.fade, ease: "power2.inOut" });
   }
   
-  // Clean up slideshow on page leave (for Barba.js)
-  window.cleanupHomeSlideshow = function() {
-    if (slideshowInterval) {
-      clearInterval(slideshowInterval);
-      slideshowInterval = null;
-    }
-  };
-  
   // ═══════════════════════════════════════════════════════════════════════════
   // ORIGINAL LOGO ANIMATION (restored from git ebb76c7)
   // ═══════════════════════════════════════════════════════════════════════════
@@ -2804,16 +5982,10 @@ function initHomePageScripts() {
     logoWrap.style.display = "block";
     gsap.set(".logo_wrap", { opacity: 1 });
     
-    const tl = gsap.timeline(); // No delay - starts immediately
+    const tl = scope.tween(gsap.timeline()); // No delay - starts immediately
     
     // Logo letters animate in
-    tl.from(".svg-letter", {
-      y: 400,
-      duration: 0.7,
-      opacity: 0,
-      stagger: 0.04,
-      ease: "expo.inOut"
-    });
+    tl.from(".svg-letter", logoLettersFromVars());
     
     // Logo stays visible longer (2 seconds)
     tl.to({}, { duration: 2 });
@@ -2826,7 +5998,7 @@ function initHomePageScripts() {
       tl.fromTo(selectedImg, 
         { 
           opacity: 0, 
-          scale: 1.02 
+          scale: isReducedMotion() ? 1 : 1.02 
         },
         { 
           opacity: 1, 
@@ -2854,7 +6026,7 @@ function initHomePageScripts() {
             if (img) gsap.set(img, { opacity: 1 });
             gsap.set(item, { opacity: index === currentSlideIndex ? 1 : 0 });
           });
-          slideshowInterval = setInterval(nextSlide, SLIDESHOW_DURATION);
+          startSlideshow();
           console.log('✅ Slideshow started');
         }
       }
@@ -2870,7 +6042,7 @@ function initHomePageScripts() {
   
   if (scrollItems.length) {
     scrollItems.forEach((item) => {
-      gsap.fromTo(
+      scope.tween(gsap.fromTo(
         item, 
         { opacity: 0, y: 100 },
         {
@@ -2880,11 +6052,11 @@ function initHomePageScripts() {
           ease: "power2.out",
           scrollTrigger: {
             trigger: item,
-            start: "top 80%",
+            start: CONFIG.scroll.homeFlexStart,
             toggleActions: "play none none none",
           }
         }
-      );
+      ));
     });
   }
   
@@ -2894,7 +6066,7 @@ function initHomePageScripts() {
   
   if (!homeContainer || !homeToggleButton) {
     console.log('Home toggle elements not found, skipping...');
-    return;
+    return scope;
   }
   
   // Note: homeItems already declared at top of initHomePageScripts()
@@ -3010,11 +6182,7 @@ function initHomePageScripts() {
   }
   
   // Event delegation for toggle button
-  if (window.homeToggleHandler) {
-    document.removeEventListener('click', window.homeToggleHandler);
-  }
-  
-  window.homeToggleHandler = function(e) {
+  scope.on(document, 'click', function(e) {
     if (e.target.closest('.nav_toggle')) {
       console.log("Home Toggle Button Clicked");
       if (isHomeGridView) {
@@ -3023,11 +6191,16 @@ function initHomePageScripts() {
         showHomeGridView();
       }
     }
-  };
-  
-  document.addEventListener('click', window.homeToggleHandler);
+  });
+
+  registerPageController(scope, 'home', {
+    setView: (mode) => (mode === 'grid' ? showHomeGridView() : showHomeFullScreenView()),
+    getView: () => (isHomeGridView ? 'grid' : 'full')
+  });
   
   console.log('✅ Home page scripts initialized');
+
+  return scope;
 }
 
 /* ═══════════════════════════════════════════════════════════════════════════
@@ -3043,13 +6216,11 @@ function initHomePageScripts() {
 // Ensure .page_main fades in on first page load (before Barba takes over)
 (function() {
   window.addEventListener('load', function() {
-    const pathname = window.location.pathname;
-    const isHomeZig = pathname === '/home-zig' || pathname === '/home-zig/';
-    const isHome = pathname === '/' || pathname === '';
+    const route = resolveRoute(window.location.pathname);
     
-    // Skip page_main fade on home-zig and home (they handle their own animations)
-    if (isHomeZig || isHome) {
-      console.log('Skipping .page_main fade on ' + (isHomeZig ? 'home-zig' : 'home'));
+    // Skip page_main fade on routes that handle their own animations (home, home-zig)
+    if (!route.pageFade) {
+      console.log('Skipping .page_main fade on ' + route.namespace);
       return;
     }
     
@@ -3070,28 +6241,82 @@ function initHomePageScripts() {
 })();
 
 /* ───────────────────────────────────────────────────────────────────────────
-   injectPageSpecificCSS() - Dynamic CSS Injection
-   ─────────────────────────────────────────────────────────────────────────── 
-   Detects page type from URL and injects appropriate CSS:
-   - home: Nav headroom styles
-   - artist-detail: Headroom, nav styles
-   - exhibition-detail: Headroom, alternating work layout, image sizing
-   - exhibitions-list: Stagger animation states, thumbnail hiding
-   - artists-list: Stagger animation states
-   
-   Removes old page-specific styles before injecting new ones.
+   Page-specific CSS blocks (referenced from ROUTES below)
    ─────────────────────────────────────────────────────────────────────────── */
 
-function injectPageSpecificCSS(pathname) {
-  let namespace = 'default';
-  const exhibitionStickyTitleHoverColorFix = `
+const navHeadroomCss = (transitionDuration) => `
+        /* Nav - Headroom transitions */
+        #nav {
+          width: 100%;
+          transition: transform ${transitionDuration}s cubic-bezier(0.4, 0.0, 0.2, 1);
+          will-change: transform;
+        }
+
+        .nav-pinned {
+          transform: translateY(0);
+        }
+
+        .nav-unpinned {
+          transform: translateY(calc(-1 * var(--size--12rem)));
+        }
+
+        /* For tablet and mobile devices */
+        @media screen and (max-width: ${CONFIG.breakpoints.tablet}px) {
+          .nav-unpinned {
+            transform: translateY(calc(-1 * var(--size--24rem)));
+          }
+        }
+`;
+
+const listRevealCss = `
+        /* Hide exhibition parent items initially */
+        .g_exhibition_item {
+          opacity: 0;
+        }
+
+        /* Show after animations are ready */
+        body.animations-ready .g_exhibition_item {
+          opacity: 1;
+        }
+
+        /* Set initial state for stagger animation */
+        .g_exhibition_item_inner {
+          opacity: 0;
+          transform: translateY(20px);
+        }
+
+        /* Hide preview thumbnails by default (desktop) */
+        .g_preview_thumb_wrap {
+          opacity: 0;
+          visibility: hidden;
+          pointer-events: none;
+        }
+`;
+
+const touchPreviewThumbCss = `
+        /* Show thumbnails on touch screens (no hover) */
+        @media ${NO_HOVER_MEDIA} {
+          .g_preview_thumb_wrap {
+            opacity: 1 !important;
+            visibility: visible !important;
+            pointer-events: auto !important;
+          }
+          .g_preview_thumb_wrap .g_image {
+            opacity: 1 !important;
+            visibility: visible !important;
+          }
+        }
+`;
+
+const exhibitionStickyTitleHoverColorFix = `
         /* Keep sticky exhibition title legible on row hover */
         .g_exhibition_item.u-grid-custom:hover .exhibition_title_sticky,
         .g_exhibition_item.u-grid-custom:hover .exhibition_title_sticky .g_title {
           color: var(--theme--text);
         }
-  `;
-  const artistWorksLegacyCss = `
+`;
+
+const artistWorksLegacyCss = `
         /* Legacy artist works image sizing (step-by-step, no masonry) */
         .artist_works_layout .artist_works_item:first-child .artist_works_img_wrap {
           width: 100%;
@@ -3126,8 +6351,9 @@ function injectPageSpecificCSS(pathname) {
         .artist_works_layout .artist_works_item.align-left { align-items: flex-start; }
         .artist_works_layout .artist_works_item.align-center { align-items: center; }
         .artist_works_layout .artist_works_item.align-right { align-items: flex-end; }
-  `;
-  const artistWorksParallaxOverlapCss = `
+`;
+
+const artistWorksParallaxOverlapCss = `
         /* Experimental mode: full-bleed images with scroll-driven overlap */
         .artist_works_layout .artist_works_item {
           position: relative;
@@ -3147,161 +6373,156 @@ function injectPageSpecificCSS(pathname) {
           object-fit: cover !important;
           display: block;
         }
-  `;
-  
-  if (pathname === '/' || pathname === '') {
-    namespace = 'home';
-  } else if (pathname === '/old-home' || pathname === '/old-home/') {
-    namespace = 'old-home';
-  } else if (pathname.includes('/artists/') && !pathname.endsWith('/artists')) {
-    namespace = 'artist-detail';
-  } else if (pathname === '/artists' || pathname === '/artists/') {
-    namespace = 'artists-list';
-  } else if (pathname.includes('/exhibitions/') && !pathname.endsWith('/exhibitions')) {
-    namespace = 'exhibition-detail';
-  } else if (pathname === '/exhibitions' || pathname === '/exhibitions/') {
-    namespace = 'exhibitions-list';
-  } else if (pathname === '/contact' || pathname === '/contact/') {
-    namespace = 'contact';
-  } else if (pathname === '/home-zig' || pathname === '/home-zig/') {
-    namespace = 'home-zig';
+`;
+
+// Artist works layout modes, switched at runtime by initArtistWorksLayout()
+// 'parallax-overlap' = stacked full-bleed images with scroll-driven overlap
+// 'legacy' = mixed sizes + random alignment + fade-up reveal
+const ARTIST_WORKS_MODES = {
+  'parallax-overlap': {
+    css: artistWorksParallaxOverlapCss,
+    init: () => initArtistWorksParallaxOverlapAnimation()
+  },
+  legacy: {
+    css: artistWorksLegacyCss,
+    init: () => {
+      initRandomizeArtistWorksAlignment();
+      return initArtistWorksScrollAnimation();
+    }
   }
-  
-  console.log('Injecting CSS for namespace:', namespace, 'pathname:', pathname);
-  
-  // Remove old page-specific styles
-  const oldStyles = document.querySelectorAll('style[data-page-specific]');
-  console.log('Removing', oldStyles.length, 'old page-specific styles');
-  oldStyles.forEach(el => el.remove());
-  
-  // Define page-specific CSS
-  let pageSpecificCSS = '';
-  
-  switch(namespace) {
-    case 'artists-list':
-      pageSpecificCSS = `
-        /* Hide exhibition parent items initially */
-        .g_exhibition_item {
-          opacity: 0;
-        }
-
-        /* Show after animations are ready */
-        body.animations-ready .g_exhibition_item {
-          opacity: 1;
-        }
-
-        /* Set initial state for stagger animation */
-        .g_exhibition_item_inner {
-          opacity: 0;
-          transform: translateY(20px);
-        }
-
-        /* Hide preview thumbnails by default (desktop) */
-        .g_preview_thumb_wrap {
-          opacity: 0;
-          visibility: hidden;
-          pointer-events: none;
-        }
-        
-        /* Show thumbnails on mobile/tablet */
-        @media (max-width: 1024px) {
-          .g_preview_thumb_wrap {
-            opacity: 1 !important;
-            visibility: visible !important;
-            pointer-events: auto !important;
-          }
-          .g_preview_thumb_wrap .g_image {
-            opacity: 1 !important;
-            visibility: visible !important;
-          }
-        }
-${exhibitionStickyTitleHoverColorFix}
-      `;
-      break;
-      
-    case 'artist-detail':
-      pageSpecificCSS = `
-        /* Nav - Headroom transitions */
-        #nav {
-          width: 100%;
-          transition: transform 0.6s cubic-bezier(0.4, 0.0, 0.2, 1);
-          will-change: transform;
-        }
+};
 
-        .nav-pinned {
-          transform: translateY(0);
-        }
-
-        .nav-unpinned {
-          transform: translateY(calc(-1 * var(--size--12rem)));
-        }
-
-        /* For tablet and mobile devices */
-        @media screen and (max-width: 991px) {
-          .nav-unpinned {
-            transform: translateY(calc(-1 * var(--size--24rem)));
-          }
-        }
+/* ───────────────────────────────────────────────────────────────────────────
+   ROUTES - Declarative Route Registry
+   ─────────────────────────────────────────────────────────────────────────── 
+   Single source of truth for page types. Each entry maps URL patterns to:
+   - namespace:          Barba namespace set on [data-barba="container"]
+   - css:                Returns page-specific CSS for injectPageSpecificCSS()
+                         (a function so CONFIG breakpoints are read at
+                         injection time)
+   - init:               Page scripts run (in order) by initPageScripts()
+   - headroom:           Headroom settings ({ offset, tolerance }) or false
+   - pageFade:           Fade .page_main in on first load (false = page
+                         handles its own intro)
+   - initAfterNavIntro:  Defer initPageScripts() on hard refresh until the
+                         nav intro timeline has finished
+   - yearGroups:         Group the page's list under year headings
+                         (initYearGroups)
+
+   Patterns are matched against the normalized path (see normalizeRoutePath):
+   trailing slashes and a leading ROUTE_LOCALES segment (/de, /en) are ignored,
+   and "*" matches one or more path segments. First match wins; unmatched
+   paths fall back to FALLBACK_ROUTE.
+
+   Adding a page = adding one entry here.
+   ─────────────────────────────────────────────────────────────────────────── */
 
-        /* Keep fullscreen works hidden until nav intro completes */
-        .artist_works_layout {
+const HEADROOM_DEFAULT_SETTINGS = { offset: 120, tolerance: { up: 40, down: 20 } };
+const HEADROOM_DETAIL_SETTINGS = { offset: 100, tolerance: { up: 60, down: 20 } };
+
+const ROUTE_DEFAULTS = {
+  css: () => '',
+  init: [],
+  headroom: HEADROOM_DEFAULT_SETTINGS,
+  pageFade: true,
+  initAfterNavIntro: false,
+  yearGroups: false
+};
+
+const ROUTES = [
+  {
+    namespace: 'home',
+    patterns: ['/'],
+    css: () => `
+        /* No Headroom CSS needed - Headroom disabled on homepage */
+      `,
+    init: [initListReveal, initHomePageScripts], // Logo first, then image fade-in
+    headroom: false,
+    pageFade: false
+  },
+  {
+    namespace: 'old-home',
+    patterns: ['/old-home'],
+    css: () => `
+        /* No Headroom CSS needed - Headroom disabled on old-home */
+      `,
+    init: [initListReveal, initOldHomePageScripts],
+    headroom: false
+  },
+  {
+    namespace: 'home-bottom',
+    patterns: ['/home-bottom'],
+    init: [initListReveal, initHomeBottomIntro, initLogoScrollAnimation]
+  },
+  {
+    namespace: 'home-zig',
+    patterns: ['/home-zig'],
+    css: () => `${navHeadroomCss(0.6)}
+        /* Grid items initially hidden for ScrollTrigger animation */
+        .current_grid_item {
+          display: flex;
+          flex-direction: column;
           opacity: 0;
         }
-        body.artist-content-ready .artist_works_layout {
-          opacity: 1;
-        }
-
-        /*
-          Legacy artist-works CSS is preserved in JS and can be re-enabled by
-          setting ARTIST_WORKS_EXPERIMENT_MODE = 'legacy'.
-        */
-${ARTIST_WORKS_EXPERIMENT_MODE === 'parallax-overlap' ? artistWorksParallaxOverlapCss : artistWorksLegacyCss}
         
-        /* Show exhibition preview thumbnails on mobile/tablet (no hover) */
-        @media (max-width: 1024px) {
-          .g_preview_thumb_wrap {
-            opacity: 1 !important;
-            visibility: visible !important;
-            pointer-events: auto !important;
-          }
-          .g_preview_thumb_wrap .g_image {
-            opacity: 1 !important;
-            visibility: visible !important;
-          }
-        }
-${exhibitionStickyTitleHoverColorFix}
-      `;
-      break;
-      
-    case 'exhibition-detail':
-      pageSpecificCSS = `
-        /* Initial state for fade-in animation */
-        .page_main {
+        /* Alignment classes applied by JS - similar to artist works */
+        .current_grid_item.u-vflex-left-top { align-items: flex-start; }
+        .current_grid_item.u-vflex-center-top { align-items: center; }
+        .current_grid_item.u-vflex-right-top { align-items: flex-end; }
+      `,
+    // Skip initial page intro animation - use scroll triggers instead
+    init: [initLogoDrawAnimation, initZigPageLayout, initZigScrollAnimation],
+    pageFade: false
+  },
+  {
+    namespace: 'artists-list',
+    patterns: ['/artists'],
+    css: () => `${listRevealCss}${touchPreviewThumbCss}${exhibitionStickyTitleHoverColorFix}`,
+    init: [initListReveal]
+  },
+  {
+    namespace: 'artist-detail',
+    patterns: ['/artists/*'],
+    css: () => `${navHeadroomCss(0.6)}
+        /* Keep fullscreen works hidden until nav intro completes */
+        .artist_works_layout {
           opacity: 0;
         }
-        
-        /* Nav - Headroom transitions - Extra smooth for exhibition detail */
-        #nav {
-          width: 100%;
-          transition: transform 0.8s cubic-bezier(0.4, 0.0, 0.2, 1);
-          will-change: transform;
+        body.artist-content-ready .artist_works_layout {
+          opacity: 1;
         }
 
-        .nav-pinned {
-          transform: translateY(0);
+        /* Artist works mode CSS is injected by initArtistWorksLayout() */
+${touchPreviewThumbCss}${exhibitionStickyTitleHoverColorFix}`,
+    init: [initListReveal, initArtistDetailScripts],
+    headroom: HEADROOM_DETAIL_SETTINGS,
+    initAfterNavIntro: true
+  },
+  {
+    namespace: 'exhibitions-list',
+    patterns: ['/exhibitions'],
+    css: () => `${listRevealCss}${touchPreviewThumbCss}
+        /* Artist name divider logic */
+        .artist_name_outer .g_artist_divider { 
+          display: none; 
         }
-
-        .nav-unpinned {
-          transform: translateY(calc(-1 * var(--size--12rem)));
+        .artist_name_outer .w-dyn-item:not(:last-child) .g_artist_divider { 
+          display: inline; 
         }
-
-        /* For tablet and mobile devices */
-        @media screen and (max-width: 991px) {
-          .nav-unpinned {
-            transform: translateY(calc(-1 * var(--size--24rem)));
-          }
+${exhibitionStickyTitleHoverColorFix}`,
+    init: [initListReveal],
+    headroom: false,
+    yearGroups: true
+  },
+  {
+    namespace: 'exhibition-detail',
+    patterns: ['/exhibitions/*'],
+    css: () => `
+        /* Initial state for fade-in animation */
+        .page_main {
+          opacity: 0;
         }
-        
+        ${navHeadroomCss(0.8)}
         /* Works item alternating layout */
         .works_item:nth-child(odd) .works_img_wrap {
           order: 1;
@@ -3318,7 +6539,7 @@ ${exhibitionStickyTitleHoverColorFix}
         }
         
         /* Desktop only - scaled down images limited to 100vh */
-        @media (min-width: 992px) {
+        @media (min-width: ${CONFIG.breakpoints.tablet + 1}px) {
           img.show_img[image-display="scaled down"] {
             max-height: 100vh !important;
             width: auto !important;
@@ -3332,110 +6553,92 @@ ${exhibitionStickyTitleHoverColorFix}
         img.show_img[image-display="fullscreen"] {
           /* Let images be their natural size */
         }
-      `;
-      break;
-      
-    case 'exhibitions-list':
-      pageSpecificCSS = `
-        /* Hide exhibition parent items initially */
-        .g_exhibition_item {
-          opacity: 0;
-        }
-
-        /* Show after animations are ready */
-        body.animations-ready .g_exhibition_item {
-          opacity: 1;
-        }
+      `,
+    init: [initExhibitionDetailIntro, initExhibitionDetailScripts],
+    headroom: HEADROOM_DETAIL_SETTINGS
+  },
+  {
+    namespace: 'news',
+    patterns: ['/news'],
+    init: [initListReveal]
+  },
+  {
+    namespace: 'contact',
+    patterns: ['/contact']
+  },
+  {
+    namespace: 'imprint',
+    patterns: ['/imprint'],
+    headroom: false
+  }
+];
 
-        /* Set initial state for stagger animation */
-        .g_exhibition_item_inner {
-          opacity: 0;
-          transform: translateY(20px);
-        }
+const FALLBACK_ROUTE = {
+  namespace: 'default',
+  patterns: []
+};
 
-        /* Hide preview thumbnails by default (desktop) */
-        .g_preview_thumb_wrap {
-          opacity: 0;
-          visibility: hidden;
-          pointer-events: none;
-        }
-        
-        /* Show thumbnails on mobile/tablet */
-        @media (max-width: 1024px) {
-          .g_preview_thumb_wrap {
-            opacity: 1 !important;
-            visibility: visible !important;
-            pointer-events: auto !important;
-          }
-          .g_preview_thumb_wrap .g_image {
-            opacity: 1 !important;
-            visibility: visible !important;
-          }
-        }
-        
-        /* Artist name divider logic */
-        .artist_name_outer .g_artist_divider { 
-          display: none; 
-        }
-        .artist_name_outer .w-dyn-item:not(:last-child) .g_artist_divider { 
-          display: inline; 
-        }
-${exhibitionStickyTitleHoverColorFix}
-      `;
-      break;
-      
-    case 'home':
-      pageSpecificCSS = `
-        /* No Headroom CSS needed - Headroom disabled on homepage */
-      `;
-      break;
-      
-    case 'old-home':
-      pageSpecificCSS = `
-        /* No Headroom CSS needed - Headroom disabled on old-home */
-      `;
-      break;
-      
-    case 'home-zig':
-      pageSpecificCSS = `
-        /* Nav - Headroom transitions */
-        #nav {
-          width: 100%;
-          transition: transform 0.6s cubic-bezier(0.4, 0.0, 0.2, 1);
-          will-change: transform;
-        }
+// Locales configured in Webflow; their segment in front of a route is
+// optional (/de/artists, /en/news). Other first segments stay part of the path
+const ROUTE_LOCALES = ['de', 'en'];
+const ROUTE_LOCALE_PREFIX = new RegExp('^/(?:' + ROUTE_LOCALES.join('|') + ')(?=/|$)', 'i');
 
-        .nav-pinned {
-          transform: translateY(0);
-        }
+/* ───────────────────────────────────────────────────────────────────────────
+   normalizeRoutePath() / resolveRoute() - Route Lookup
+   ─────────────────────────────────────────────────────────────────────────── 
+   normalizeRoutePath('/de/artists/') → '/artists'
+   resolveRoute(pathname) → ROUTES entry merged with ROUTE_DEFAULTS
+   ─────────────────────────────────────────────────────────────────────────── */
 
-        .nav-unpinned {
-          transform: translateY(calc(-1 * var(--size--12rem)));
-        }
+function normalizeRoutePath(pathname) {
+  let path = (pathname || '/').replace(/\/{2,}/g, '/');
+  path = path.replace(ROUTE_LOCALE_PREFIX, '');
+  path = path.replace(/\/+$/, '');
+  return path || '/';
+}
 
-        /* For tablet and mobile devices */
-        @media screen and (max-width: 991px) {
-          .nav-unpinned {
-            transform: translateY(calc(-1 * var(--size--24rem)));
-          }
-        }
-        
-        /* Grid items initially hidden for ScrollTrigger animation */
-        .current_grid_item {
-          display: flex;
-          flex-direction: column;
-          opacity: 0;
-        }
-        
-        /* Alignment classes applied by JS - similar to artist works */
-        .current_grid_item.u-vflex-left-top { align-items: flex-start; }
-        .current_grid_item.u-vflex-center-top { align-items: center; }
-        .current_grid_item.u-vflex-right-top { align-items: flex-end; }
-      `;
-      break;
+const routePatternCache = new Map();
+
+function routePatternToRegExp(pattern) {
+  if (!routePatternCache.has(pattern)) {
+    const source = pattern
+      .split('/')
+      .map(segment => segment === '*'
+        ? '[^/]+(?:/[^/]+)*'
+        : segment.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+      .join('/');
+    routePatternCache.set(pattern, new RegExp('^' + source + '$'));
   }
+  return routePatternCache.get(pattern);
+}
+
+function resolveRoute(pathname) {
+  const path = normalizeRoutePath(pathname);
+  const route = ROUTES.find(r => r.patterns.some(pattern => routePatternToRegExp(pattern).test(path)));
+  return Object.assign({}, ROUTE_DEFAULTS, route || FALLBACK_ROUTE);
+}
+
+/* ───────────────────────────────────────────────────────────────────────────
+   injectPageSpecificCSS() - Dynamic CSS Injection
+   ─────────────────────────────────────────────────────────────────────────── 
+   Resolves the route for the URL and injects its CSS (see ROUTES).
+   Removes old page-specific styles before injecting new ones.
+   Returns the route namespace.
+   ─────────────────────────────────────────────────────────────────────────── */
+
+function injectPageSpecificCSS(pathname) {
+  const route = resolveRoute(pathname);
+  const namespace = route.namespace;
+  
+  console.log('Injecting CSS for namespace:', namespace, 'pathname:', pathname);
+  
+  // Remove old page-specific styles
+  const oldStyles = document.querySelectorAll('style[data-page-specific]');
+  console.log('Removing', oldStyles.length, 'old page-specific styles');
+  oldStyles.forEach(el => el.remove());
   
   // Inject the CSS (always, not just if > 100 chars)
+  const pageSpecificCSS = route.css();
   if (pageSpecificCSS.trim()) {
     const style = document.createElement('style');
     style.setAttribute('data-page-specific', 'true');
@@ -3447,27 +6650,321 @@ ${exhibitionStickyTitleHoverColorFix}
   return namespace;
 }
 
+/* ───────────────────────────────────────────────────────────────────────────
+   Scroll Restoration - Per-History-Entry Scroll Positions
+   ─────────────────────────────────────────────────────────────────────────── 
+   Barba swaps pages in place, so the browser cannot restore scroll on
+   back/forward. Positions are kept here instead, keyed by Barba's history
+   index + URL (the same URL can sit at several history entries):
+   - saveScrollPosition()    - Barba leave hook and pagehide (reloads)
+   - restoreScrollPosition() - Barba 'back' | 'forward' | 'popstate' entries
+                               and reloads, once PAGE_SETTLED_EVENT fires
+                               (list stagger finished, see initPageScripts)
+   New navigations still start at the top (enter hook). Positions are
+   mirrored to sessionStorage so they survive a reload.
+   ─────────────────────────────────────────────────────────────────────────── */
+
+const SCROLL_STORAGE_KEY = 'borto:scroll';
+const SCROLL_STORAGE_LIMIT = 50;
+const HISTORY_TRAVERSAL_TRIGGERS = ['back', 'forward', 'popstate'];
+
+let scrollPositions = readStoredScrollPositions();
+let currentScrollKey = null;
+let scrollRestoreToken = 0;
+
+// Our restore replaces the browser's (which would jump before Barba swaps)
+if ('scrollRestoration' in history) {
+  history.scrollRestoration = 'manual';
+}
+
+function readStoredScrollPositions() {
+  try {
+    return JSON.parse(sessionStorage.getItem(SCROLL_STORAGE_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+// Hash excluded: in-page hash entries (exhibition view) share the index
+function getScrollKey() {
+  const index = history.state && typeof history.state.index === 'number' ? history.state.index : 0;
+  return index + '|' + window.location.pathname + window.location.search;
+}
+
+function saveScrollPosition() {
+  if (!currentScrollKey) return;
+
+  // Re-insert so the oldest entries are dropped first
+  delete scrollPositions[currentScrollKey];
+  scrollPositions[currentScrollKey] = Math.round(window.scrollY);
+  const keys = Object.keys(scrollPositions);
+  keys.slice(0, Math.max(0, keys.length - SCROLL_STORAGE_LIMIT)).forEach(key => delete scrollPositions[key]);
+
+  try {
+    sessionStorage.setItem(SCROLL_STORAGE_KEY, JSON.stringify(scrollPositions));
+  } catch (e) {
+    // Private mode / quota: in-memory positions still work
+  }
+}
+
+function restoreScrollPosition(key) {
+  const y = scrollPositions[key];
+  const token = ++scrollRestoreToken;
+  if (typeof y !== 'number') return;
+
+  document.addEventListener(PAGE_SETTLED_EVENT, function() {
+    // A newer navigation started in the meantime
+    if (token !== scrollRestoreToken) return;
+    window.scrollTo(0, y);
+    if (typeof ScrollTrigger !== 'undefined') ScrollTrigger.update();
+    console.log('↩️ Scroll restored to', y + 'px');
+  }, { once: true });
+}
+
+// Marks the page that is now showing (after Barba's history update)
+function enterScrollEntry(restore) {
+  currentScrollKey = getScrollKey();
+  if (restore) {
+    restoreScrollPosition(currentScrollKey);
+  } else {
+    scrollRestoreToken++;
+  }
+}
+
+window.addEventListener('pagehide', saveScrollPosition);
+
+/* ───────────────────────────────────────────────────────────────────────────
+   pushHistoryEntry() - Same-Page History Entries (Hash State)
+   ─────────────────────────────────────────────────────────────────────────── 
+   Pushes a hash-only entry (e.g. exhibition #view=) with its own Barba
+   history index: Barba's state is copied with index + 1 and its states list
+   cut to that entry, then Barba's history is moved along (history.change()
+   as for a popstate), so its next push doesn't reuse the index.
+   Back/forward between these entries: Barba ignores them (same path +
+   query), the page calls syncHistoryEntry() from its popstate listener to
+   keep Barba's pointer and the index|path scroll key in step.
+   ─────────────────────────────────────────────────────────────────────────── */
+
+function syncBarbaHistory(state) {
+  if (typeof barba === 'undefined' || !barba.history || typeof barba.history.change !== 'function') return;
+  if (!state || typeof state.index !== 'number' || !Array.isArray(state.states)) return;
+  barba.history.change(window.location.href, 'popstate', { state });
+}
+
+function pushHistoryEntry(url) {
+  saveScrollPosition();
+  const state = history.state;
+  if (state && typeof state.index === 'number' && Array.isArray(state.states)) {
+    const index = state.index + 1;
+    const href = new URL(url, window.location.href).href;
+    const entry = Object.assign({}, state.states[state.index], { url: href });
+    const next = Object.assign({}, state, {
+      index,
+      states: state.states.slice(0, index).concat([entry])
+    });
+    history.pushState(next, '', url);
+    syncBarbaHistory(next);
+  } else {
+    history.pushState(state ? Object.assign({}, state) : null, '', url);
+  }
+  if (currentScrollKey) currentScrollKey = getScrollKey();
+}
+
+function syncHistoryEntry(state) {
+  saveScrollPosition(); // Still the position of the entry that was left
+  syncBarbaHistory(state);
+  if (currentScrollKey) currentScrollKey = getScrollKey();
+}
+
+/* ───────────────────────────────────────────────────────────────────────────
+   Link Prefetch - Bounded, TTL-Invalidated Page Cache
+   ─────────────────────────────────────────────────────────────────────────── 
+   Pages are fetched ahead of the click through barba.prefetch() and live in
+   barba.cache. Barba's own hover prefetch is off (prefetchIgnore) because
+   its cache never expires or shrinks; pageCacheEntries tracks every cached
+   href (prefetched or visited) in least-recently-used order instead:
+   - more than CONFIG.prefetch.maxEntries → oldest entry is deleted
+   - older than CONFIG.prefetch.ttl → deleted right before Barba reads it
+     (capture-phase click and popstate listeners, registered before
+     barba.init so they run first), so the click fetches a fresh copy
+   Skipped: .no-barba links, other origins, downloads, target="_blank",
+   same-page hash links and Save-Data / 2G connections.
+   ─────────────────────────────────────────────────────────────────────────── */
+
+const pageCacheEntries = new Map(); // href → cached at (ms)
+
+// Absolute href Barba would use as cache key, or null if not prefetchable
+function getPrefetchKey(link) {
+  if (!link || !link.href || link.classList.contains('no-barba')) return null;
+  if (link.hasAttribute('download') || (link.target && link.target !== '_self')) return null;
+
+  let url;
+  try {
+    url = new URL(link.href, document.baseURI);
+  } catch (e) {
+    return null;
+  }
+  if (url.origin !== window.location.origin || !/^https?:$/.test(url.protocol)) return null;
+  if (url.pathname === window.location.pathname && url.search === window.location.search) return null;
+  return link.href;
+}
+
+function canPrefetch() {
+  if (!CONFIG.prefetch.enabled || typeof barba === 'undefined' || !barba.cache) return false;
+  const connection = navigator.connection;
+  return !(connection && (connection.saveData || /2g/.test(connection.effectiveType || '')));
+}
+
+// Moves href to the most-recent end; cachedAt keeps the original fetch time
+function trackPageCache(href, cachedAt = Date.now()) {
+  pageCacheEntries.delete(href);
+  pageCacheEntries.set(href, cachedAt);
+
+  while (pageCacheEntries.size > CONFIG.prefetch.maxEntries) {
+    const oldest = pageCacheEntries.keys().next().value;
+    pageCacheEntries.delete(oldest);
+    barba.cache.delete(oldest);
+  }
+}
+
+// Drops href from Barba's cache if it outlived the TTL
+function dropStalePageCache(href) {
+  if (typeof barba === 'undefined' || !barba.cache || !barba.cache.has(href)) return;
+  const cachedAt = pageCacheEntries.get(href);
+  if (cachedAt && Date.now() - cachedAt <= CONFIG.prefetch.ttl) return;
+
+  barba.cache.delete(href);
+  pageCacheEntries.delete(href);
+  console.log('🗑️ Stale page cache dropped:', href);
+}
+
+function prefetchPage(href) {
+  if (!href || !canPrefetch()) return;
+  dropStalePageCache(href);
+  if (barba.cache.has(href)) return;
+
+  barba.prefetch(href);
+  trackPageCache(href);
+}
+
+// Must be registered before barba.init() (Barba reads the cache in its own
+// click / popstate listeners)
+document.addEventListener('click', function(e) {
+  const link = e.target.closest && e.target.closest('a[href]');
+  if (link) dropStalePageCache(link.href);
+}, true);
+
+window.addEventListener('popstate', function() {
+  dropStalePageCache(window.location.href);
+});
+
+/* ───────────────────────────────────────────────────────────────────────────
+   initLinkPrefetch() - Hover / Focus / Touch / Viewport Prefetch
+   ─────────────────────────────────────────────────────────────────────────── 
+   Intent: hover (after CONFIG.prefetch.hoverDelay), keyboard focus and
+   touchstart on any internal link. Viewport: the first
+   CONFIG.prefetch.viewportLimit links matching viewportSelector (list rows,
+   news items, nav) that scroll into view, fetched when the browser is idle.
+   ─────────────────────────────────────────────────────────────────────────── */
+
+function initLinkPrefetch() {
+  const scope = createCleanupScope('link-prefetch');
+  if (!canPrefetch()) return scope;
+
+  let hoverTimer = null;
+  let hoverHref = null;
+  const clearHoverTimer = () => {
+    clearTimeout(hoverTimer);
+    hoverTimer = null;
+    hoverHref = null;
+  };
+  scope.add(clearHoverTimer);
+
+  const linkFromEvent = (e) => e.target.closest && e.target.closest('a[href]');
+
+  scope.on(document, 'mouseover', function(e) {
+    const href = getPrefetchKey(linkFromEvent(e));
+    if (!href || href === hoverHref) return;
+    clearHoverTimer();
+    hoverHref = href;
+    hoverTimer = setTimeout(() => prefetchPage(href), CONFIG.prefetch.hoverDelay);
+  });
+
+  scope.on(document, 'mouseout', function(e) {
+    const link = linkFromEvent(e);
+    if (link && !link.contains(e.relatedTarget)) clearHoverTimer();
+  });
+
+  scope.on(document, 'focusin', function(e) {
+    prefetchPage(getPrefetchKey(linkFromEvent(e)));
+  });
+
+  scope.on(document, 'touchstart', function(e) {
+    prefetchPage(getPrefetchKey(linkFromEvent(e)));
+  }, { passive: true });
+
+  if (!('IntersectionObserver' in window) || CONFIG.prefetch.viewportLimit <= 0) return scope;
+
+  const idle = window.requestIdleCallback || ((fn) => setTimeout(fn, 200));
+  let remaining = CONFIG.prefetch.viewportLimit;
+  let observing = true;
+
+  const observer = new IntersectionObserver(function(entries) {
+    entries.forEach(entry => {
+      if (!entry.isIntersecting || remaining <= 0) return;
+      observer.unobserve(entry.target);
+      const href = getPrefetchKey(entry.target);
+      if (!href || pageCacheEntries.has(href)) return;
+      remaining--;
+      idle(() => {
+        if (observing) prefetchPage(href);
+      });
+    });
+    if (remaining <= 0) observer.disconnect();
+  }, { rootMargin: '0px 0px 200px 0px' });
+
+  const seen = new Set();
+  document.querySelectorAll(CONFIG.prefetch.viewportSelector).forEach(link => {
+    // One observed link per destination (rows often repeat their link)
+    const href = getPrefetchKey(link);
+    if (!href || seen.has(href)) return;
+    seen.add(href);
+    observer.observe(link);
+  });
+
+  scope.add(() => {
+    observing = false;
+    observer.disconnect();
+  });
+
+  return scope;
+}
+
 // Set namespace and initialize scripts on first load
 (function() {
   document.addEventListener('DOMContentLoaded', function() {
     const container = document.querySelector('[data-barba="container"]');
     if (!container) return;
     
+    // Per-page overrides (data-borto-*) before CSS breakpoints are injected
+    refreshConfig([document.body, container]);
+    
     const pathname = window.location.pathname;
-    const isArtistInitialPage = pathname.includes('/artists/') && !pathname.endsWith('/artists') && pathname !== '/artists/';
+    const deferInit = resolveRoute(pathname).initAfterNavIntro;
     const namespace = injectPageSpecificCSS(pathname);
     
     container.setAttribute('data-barba-namespace', namespace);
     console.log('Barba namespace set to:', namespace);
     
+    // Reload / bfcache-less back: restore where the visitor was
+    const navigation = performance.getEntriesByType ? performance.getEntriesByType('navigation')[0] : null;
+    enterScrollEntry(!!navigation && (navigation.type === 'reload' || navigation.type === 'back_forward'));
+    
     // IMMEDIATELY apply theme BEFORE any animations to prevent flash
-    const storedTheme = localStorage.getItem("theme") || "light";
-    const pageWrapElements = document.querySelectorAll(".page_wrap");
-    pageWrapElements.forEach(el => el.setAttribute("data-theme", storedTheme));
-    document.body.setAttribute("data-theme", storedTheme);
+    applyTheme(container);
     
-    // Initialize scripts immediately on non-artist pages.
-    if (!isArtistInitialPage) {
+    // Initialize scripts immediately unless the route waits for the nav intro.
+    if (!deferInit) {
       initPageScripts();
     }
 
@@ -3496,16 +6993,19 @@ ${exhibitionStickyTitleHoverColorFix}
         if (navBorder) tl.to(navBorder, { width: '100%', duration: 1.2, ease: 'power2.out' }, 0.15);
         
         tl.to({}, { duration: 0.5 }); // same pause for refresh
-        if (isArtistInitialPage) {
+        if (deferInit) {
           tl.call(() => initPageScripts());
         }
-      } else if (isArtistInitialPage) {
-        // Artist page fallback when nav is missing.
+        
+        // Reduced motion: show the nav in its final state right away
+        if (isReducedMotion()) tl.progress(1);
+      } else if (deferInit) {
+        // Deferred route fallback when nav is missing.
         initPageScripts();
       }
     } catch (e) {
       console.log('Initial nav intro error:', e);
-      if (isArtistInitialPage) {
+      if (deferInit) {
         initPageScripts();
       }
     }
@@ -3520,22 +7020,23 @@ barba.init({
     leave(data) {
       console.log('Barba: leaving page');
       
-      // Cleanup home slideshow if running
-      if (typeof window.cleanupHomeSlideshow === 'function') {
-        window.cleanupHomeSlideshow();
-      }
+      // Remember where the visitor was on this history entry
+      saveScrollPosition();
+      
+      // Tear down listeners, ScrollTriggers, tweens and timers of the old page
+      destroyPageScripts();
       
       // Fade out the old page
       return gsap.to(data.current.container, {
         opacity: 0,
-        duration: 0.3,
-        ease: 'power2.inOut'
+        duration: isReducedMotion() ? 0 : CONFIG.transition.leaveDuration,
+        ease: CONFIG.transition.leaveEase
       });
     },
     
     enter(data) {
       console.log('Barba: entering new page');
-      // Scroll to top
+      // Scroll to top (back/forward restore the saved position once settled)
       window.scrollTo(0, 0);
       
       const container = data.next.container;
@@ -3598,17 +7099,26 @@ barba.init({
       // Ensure fonts-loaded class stays on html element
       document.documentElement.classList.add('fonts-loaded');
 
+      // Re-resolve config with the new page's data-borto-* attributes
+      // (Barba keeps the old <body>, so read the fetched page's body tag)
+      refreshConfig([getBodyAttributesFromHtml(data.next.html), data.next.container]);
+
       // Inject page-specific CSS and set namespace
       const pathname = window.location.pathname;
       const namespace = injectPageSpecificCSS(pathname);
       const newContainer = data.next.container;
       newContainer.setAttribute('data-barba-namespace', namespace);
+
+      // Back/forward: restore this entry's scroll position after the stagger
+      enterScrollEntry(HISTORY_TRAVERSAL_TRIGGERS.includes(data.trigger));
+
+      // Barba cached the page it just fetched: give it a TTL and LRU slot
+      const nextHref = data.next.url.href;
+      if (barba.cache.has(nextHref)) trackPageCache(nextHref, pageCacheEntries.get(nextHref));
       
       // IMMEDIATELY apply theme BEFORE any animations to prevent flash
-      const storedTheme = localStorage.getItem("theme") || "light";
-      const pageWrapElements = newContainer.querySelectorAll(".page_wrap");
-      pageWrapElements.forEach(el => el.setAttribute("data-theme", storedTheme));
-      document.body.setAttribute("data-theme", storedTheme);
+      // (the new page may force its own theme)
+      applyTheme(newContainer);
 
       // Helper to run the original page setup (page-level animations, Webflow re-init)
       function runPageInit() {
@@ -3660,6 +7170,9 @@ barba.init({
           
           // Small pause after title shows before triggering page animations
           tl.to({}, { duration: 0.5 });
+          
+          // Reduced motion: jump to the end (runs runPageInit via onComplete)
+          if (isReducedMotion()) tl.progress(1);
           return; // defer init until timeline completes
         }
       } catch (e) {
@@ -3672,7 +7185,162 @@ barba.init({
   }],
   
   // Prevent transition on same page
-  prevent: ({ el }) => el.classList && el.classList.contains('no-barba')
+  prevent: ({ el }) => el.classList && el.classList.contains('no-barba'),
+
+  // Prefetching is done by initLinkPrefetch() (bounded cache + TTL)
+  prefetchIgnore: true
 });
 
 console.log('Barba.js initialized with fade transition');
+
+
+/* ═══════════════════════════════════════════════════════════════════════════
+   8. PUBLIC API (window.Borto)
+   ═══════════════════════════════════════════════════════════════════════════
+   
+   Single namespaced entry point for Webflow embeds and QA scripts. Page
+   state (handlers, slider, slideshow...) stays inside page modules; the
+   facade only calls into the controllers they register for the current page
+   (see registerPageController). Methods of a page API that isn't active
+   (e.g. Borto.exhibition.setView() on the home page) are no-ops.
+
+   Borto.init()                    - (Re)initialize scripts for the current page
+   Borto.destroy()                 - Tear down all page scripts and listeners
+   Borto.route()                   - Resolved route for the current URL
+   Borto.config()                  - Resolved CONFIG for the current page
+   Borto.getTheme()                - 'light' | 'dark' (as shown)
+   Borto.setTheme(preference)      - Persist + apply 'light' | 'dark' | 'system'
+   Borto.theme.getPreference()     - 'light' | 'dark' | 'system'
+   Borto.motion.isReduced()        - Current motion policy
+   Borto.motion.set(preference)    - 'reduce' | 'full' | 'system'
+   Borto.motion.get()              - Stored preference ('system' if unset)
+   Borto.exhibition.setView(mode)  - 'full' | 'medium' | 'grid' (exhibition detail,
+                                     pushes #view= to the URL)
+   Borto.exhibition.getView()
+   Borto.home.setView(mode)        - 'full' | 'grid' (home, old-home)
+   Borto.home.getView()
+   Borto.slideshow.pause()         - Home featured image slideshow
+   Borto.slideshow.resume()
+   Borto.slideshow.next()
+   Borto.slideshow.isPaused()
+   Borto.slider.get()              - Artist detail Swiper instance (or null)
+   Borto.slider.ready()            - Promise of the instance once built (null: no slider)
+   Borto.slider.goTo(index)        - 0-based slide index
+   Borto.slider.next() / prev()
+   Borto.slider.getIndex()         - Active slide (0-based)
+   Borto.slider.fullscreen(active) - Enter (default) / leave fullscreen
+   Borto.artistWorks.setMode(mode) - 'parallax-overlap' | 'legacy' (artist detail)
+   Borto.artistWorks.getMode()
+   Borto.cv.expand() / collapse() / toggle() / isExpanded()
+   Borto.cv.getData()              - Parsed CV (sections + entries) as plain JSON
+   Borto.cv.showSection(key)       - 'all' | 'solo' | 'group' | 'collections' | 'awards' | ...
+   Borto.cv.exportJSON() / print()
+   Borto.captions.expandAll() / collapseAll()
+   Borto.filters.set(key, values)  - 'year' | 'artist' | 'status' | 'venue' (list pages)
+   Borto.filters.toggle(key, value)
+   Borto.filters.search(text)
+   Borto.filters.clear()
+   Borto.filters.getState()
+   Borto.sorting.set(order)        - '-year,artist' ("-" = descending, list pages)
+   Borto.sorting.get()
+   Borto.sorting.reset()           - Back to the CMS order
+   
+   ═══════════════════════════════════════════════════════════════════════════ */
+
+(function() {
+  // Calls method on the active page controller, or returns fallback
+  function callController(name, method, fallback) {
+    return function() {
+      const controller = getPageController(name);
+      if (!controller || typeof controller[method] !== 'function') {
+        console.log('⚠️ Borto.' + name + '.' + method + '() unavailable on this page');
+        return fallback;
+      }
+      return controller[method].apply(controller, arguments);
+    };
+  }
+
+  window.Borto = {
+    init: () => initPageScripts(),
+    destroy: () => destroyPageScripts(),
+    route: () => resolveRoute(window.location.pathname),
+    config: () => CONFIG,
+
+    getTheme,
+    setTheme,
+
+    theme: {
+      get: getTheme,
+      set: setTheme,
+      getPreference: getThemePreference
+    },
+
+    motion: {
+      isReduced: isReducedMotion,
+      set: setMotionPreference,
+      get: getMotionPreference
+    },
+
+    exhibition: {
+      setView: callController('exhibition', 'setView'),
+      getView: callController('exhibition', 'getView', null)
+    },
+
+    home: {
+      setView: callController('home', 'setView'),
+      getView: callController('home', 'getView', null)
+    },
+
+    slideshow: {
+      pause: callController('slideshow', 'pause'),
+      resume: callController('slideshow', 'resume'),
+      next: callController('slideshow', 'next'),
+      isPaused: callController('slideshow', 'isPaused', false)
+    },
+
+    slider: {
+      get: () => (getPageController('slider') ? getPageController('slider').instance : null),
+      ready: () => sliderReady,
+      goTo: callController('slider', 'goTo'),
+      next: callController('slider', 'next'),
+      prev: callController('slider', 'prev'),
+      getIndex: callController('slider', 'getIndex'),
+      fullscreen: callController('slider', 'fullscreen')
+    },
+
+    artistWorks: {
+      setMode: callController('artistWorks', 'setMode', null),
+      getMode: callController('artistWorks', 'getMode', null)
+    },
+
+    cv: {
+      expand: callController('cv', 'expand'),
+      collapse: callController('cv', 'collapse'),
+      toggle: callController('cv', 'toggle'),
+      isExpanded: callController('cv', 'isExpanded', false),
+      getData: callController('cvSections', 'getData', null),
+      showSection: callController('cvSections', 'showSection'),
+      exportJSON: callController('cvSections', 'exportJSON'),
+      print: callController('cvSections', 'print')
+    },
+
+    captions: {
+      expandAll: callController('captions', 'expandAll'),
+      collapseAll: callController('captions', 'collapseAll')
+    },
+
+    filters: {
+      set: callController('filters', 'set'),
+      toggle: callController('filters', 'toggle'),
+      search: callController('filters', 'search'),
+      clear: callController('filters', 'clear'),
+      getState: callController('filters', 'getState', null)
+    },
+
+    sorting: {
+      set: callController('sorting', 'set'),
+      get: callController('sorting', 'get', ''),
+      reset: callController('sorting', 'reset')
+    }
+  };
+})();